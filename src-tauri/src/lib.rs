@@ -1,11 +1,20 @@
+use base64::{engine::general_purpose::STANDARD as BASE64, Engine as _};
 use serde::{Deserialize, Serialize};
-use std::collections::HashMap;
+use serde_json::{json, Map, Value};
+use sha2::{Digest, Sha384};
+use std::collections::{HashMap, HashSet};
 use std::fs;
-use std::path::PathBuf;
+use std::io::{Cursor, Read, Write};
+use std::path::{Path, PathBuf};
+use std::sync::atomic::{AtomicBool, AtomicU64, Ordering};
 use std::sync::Arc;
-use tauri::{AppHandle, Manager, WebviewWindow, WebviewWindowBuilder};
+use tauri::{AppHandle, Emitter, Manager, WebviewWindow, WebviewWindowBuilder};
 use tokio::sync::Mutex;
 use sysinfo::{System, Disks, Components};
+use zip::{write::SimpleFileOptions, CompressionMethod, ZipArchive, ZipWriter};
+
+// Runtime injected into every widget page as `window.dashlayer`
+const WIDGET_RUNTIME: &str = include_str!("widget_runtime.js");
 
 // Data structures with serde rename for JavaScript compatibility
 #[derive(Debug, Clone, Serialize, Deserialize)]
@@ -27,6 +36,65 @@ pub struct Widget {
     pub auto_start: bool,
     #[serde(default)]
     pub locked: bool,
+    #[serde(default)]
+    pub settings_schema: Vec<Value>,
+    #[serde(default)]
+    pub settings: Map<String, Value>,
+    // Dependency ids injected into the widget page, in load order
+    #[serde(default)]
+    pub dependencies: Vec<String>,
+    // Run the widget JS as an ES module with an import map
+    #[serde(default)]
+    pub module: bool,
+    // Package metadata, kept when a widget comes from a .dashlayer file
+    #[serde(default)]
+    pub version: Option<String>,
+    #[serde(default)]
+    pub author: Option<String>,
+    #[serde(default)]
+    pub description: Option<String>,
+    // Monitor the widget belongs to; x/y are relative to it. Older widgets without
+    // one keep absolute desktop coordinates
+    #[serde(default)]
+    pub monitor: Option<String>,
+    // Anchor point on the monitor ("top-left", "top", ..., "center", ..., "bottom-right");
+    // x/y are then margins from it
+    #[serde(default)]
+    pub anchor: Option<String>,
+    // Position as a percentage of the monitor space left around the widget (0-100)
+    #[serde(default)]
+    pub percent_x: Option<f64>,
+    #[serde(default)]
+    pub percent_y: Option<f64>,
+    // Window layer: "desktop" (below all windows), "normal" or "top". Older widgets
+    // without one use `always_on_top`
+    #[serde(default)]
+    pub layer: Option<String>,
+    // Mouse input passes through the widget to whatever is below it
+    #[serde(default)]
+    pub click_through: bool,
+}
+
+// Code and settings of a widget as saved at one point
+#[derive(Debug, Clone, Serialize, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct Revision {
+    pub id: String,
+    pub saved_at: u64,
+    #[serde(default)]
+    pub message: Option<String>,
+    pub html: String,
+    pub css: String,
+    pub js: String,
+    #[serde(default)]
+    pub settings: Map<String, Value>,
+}
+
+#[derive(Debug, Clone, Serialize, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct TrashedWidget {
+    pub widget: Widget,
+    pub deleted_at: u64,
 }
 
 #[derive(Debug, Clone, Serialize, Deserialize)]
@@ -37,6 +105,32 @@ pub struct Profile {
     pub widgets: Vec<Widget>,
     pub dependencies: Vec<Dependency>,
     pub created_at: String,
+    // Widgets that were open when the profile was saved; opened again on switch
+    #[serde(default)]
+    pub active_widgets: Vec<String>,
+    // Saved automatically before a profile switch, so the switch can be undone
+    #[serde(default)]
+    pub auto_snapshot: bool,
+    // Conditions under which the manager switches to this profile on its own
+    #[serde(default)]
+    pub rules: Vec<ProfileRule>,
+}
+
+#[derive(Debug, Clone, Serialize, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct ProfileRule {
+    // "schedule", "monitors" or "presentation"
+    pub kind: String,
+    // Schedule: weekdays (0 = Sunday) and "HH:MM" bounds; empty days means every day
+    #[serde(default)]
+    pub days: Vec<u8>,
+    #[serde(default)]
+    pub start: Option<String>,
+    #[serde(default)]
+    pub end: Option<String>,
+    // Monitors: number of connected monitors
+    #[serde(default)]
+    pub monitor_count: Option<u32>,
 }
 
 #[derive(Debug, Clone, Serialize, Deserialize)]
@@ -47,6 +141,167 @@ pub struct Dependency {
     pub name: String,
     pub cached: bool,
     pub added_at: String,
+    // File name inside the cache directory once downloaded
+    #[serde(default)]
+    pub file_name: Option<String>,
+    // SRI-style hash of the cached file ("sha384-...")
+    #[serde(default)]
+    pub integrity: Option<String>,
+    // Version resolved from the download URL, when it has one
+    #[serde(default)]
+    pub version: Option<String>,
+    #[serde(default)]
+    pub size: Option<u64>,
+    // Bare import name used in the import map (defaults to the package name)
+    #[serde(default)]
+    pub specifier: Option<String>,
+}
+
+// manifest.json of a .dashlayer package. The zip also holds widget.html,
+// widget.css, widget.js and an assets/ folder.
+#[derive(Debug, Clone, Serialize, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct PackageManifest {
+    #[serde(default)]
+    pub format: u32,
+    pub name: String,
+    #[serde(default)]
+    pub version: Option<String>,
+    #[serde(default)]
+    pub author: Option<String>,
+    #[serde(default)]
+    pub description: Option<String>,
+    pub size: PackageSize,
+    #[serde(default)]
+    pub opacity: Option<u8>,
+    #[serde(default)]
+    pub always_on_top: Option<bool>,
+    #[serde(default)]
+    pub layer: Option<String>,
+    #[serde(default)]
+    pub click_through: bool,
+    #[serde(default)]
+    pub transparent: Option<bool>,
+    #[serde(default)]
+    pub module: bool,
+    #[serde(default)]
+    pub settings_schema: Vec<Value>,
+    #[serde(default)]
+    pub dependencies: Vec<PackageDependency>,
+}
+
+#[derive(Debug, Clone, Serialize, Deserialize)]
+pub struct PackageSize {
+    pub width: u32,
+    pub height: u32,
+}
+
+#[derive(Debug, Clone, Serialize, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct PackageDependency {
+    pub name: String,
+    pub url: String,
+    #[serde(default)]
+    pub specifier: Option<String>,
+    #[serde(default)]
+    pub integrity: Option<String>,
+}
+
+// Widget read from a package. Dependencies are matched against the
+// Dependency manager by the frontend before the widget is saved.
+#[derive(Debug, Clone, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct ImportedPackage {
+    pub widget: Widget,
+    pub dependencies: Vec<PackageDependency>,
+}
+
+// Full backup written by Settings > Export Data.
+// Storage is keyed by widget id, files are base64 encoded.
+#[derive(Debug, Clone, Serialize, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct Backup {
+    pub format: String,
+    pub version: u32,
+    #[serde(default)]
+    pub app_version: String,
+    #[serde(default)]
+    pub exported_at: u64,
+    #[serde(default)]
+    pub widgets: Vec<Widget>,
+    #[serde(default)]
+    pub profiles: Vec<Profile>,
+    #[serde(default)]
+    pub dependencies: Vec<Dependency>,
+    #[serde(default)]
+    pub settings: Map<String, Value>,
+    #[serde(default)]
+    pub storage: HashMap<String, Map<String, Value>>,
+    // Packaged widget files: widget id -> path inside its package folder -> content
+    #[serde(default)]
+    pub packages: HashMap<String, HashMap<String, String>>,
+    // Cached dependency files, only when exported with "include cached files"
+    #[serde(default)]
+    pub cache: HashMap<String, String>,
+    #[serde(default)]
+    pub templates: Vec<Map<String, Value>>,
+}
+
+// Standalone profile file shared between installs
+#[derive(Debug, Clone, Serialize, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct ProfileFile {
+    pub format: String,
+    pub version: u32,
+    #[serde(default)]
+    pub exported_at: u64,
+    pub profile: Profile,
+}
+
+// Windows open after a profile switch, and "name: error" for each that failed to open
+#[derive(Debug, Clone, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct SwitchedProfile {
+    pub open_widgets: Vec<String>,
+    pub failed_widgets: Vec<String>,
+}
+
+// Imported profile plus the widgets that got new ids because theirs were taken
+#[derive(Debug, Clone, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct ImportedProfile {
+    pub profile: Profile,
+    pub renamed_widgets: Vec<String>,
+}
+
+// What an import would bring in, and which items already exist here (by id)
+#[derive(Debug, Clone, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct BackupSummary {
+    pub app_version: String,
+    pub exported_at: u64,
+    pub widgets: usize,
+    pub profiles: usize,
+    pub dependencies: usize,
+    pub storage: usize,
+    pub cached_files: usize,
+    pub settings: usize,
+    pub templates: usize,
+    pub widget_conflicts: Vec<String>,
+    pub profile_conflicts: Vec<String>,
+    pub dependency_conflicts: Vec<String>,
+}
+
+// Result of checking a dependency for a newer version
+#[derive(Debug, Clone, Serialize)]
+#[serde(rename_all = "camelCase")]
+pub struct DependencyUpdate {
+    pub current_version: Option<String>,
+    pub latest_version: Option<String>,
+    pub url: String,
+    pub integrity: String,
+    pub size: u64,
+    pub changed: bool,
 }
 
 #[derive(Debug, Clone, Serialize, Deserialize)]
@@ -62,9 +317,26 @@ pub struct SystemInfo {
     pub cpu_temperature: Option<f32>,
 }
 
+#[derive(Debug, Clone, Serialize, Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct MonitorInfo {
+    pub id: String,
+    pub name: Option<String>,
+    pub x: i32,
+    pub y: i32,
+    pub width: u32,
+    pub height: u32,
+    pub scale_factor: f64,
+    pub primary: bool,
+}
+
 pub struct AppState {
     pub widget_windows: Mutex<HashMap<String, WebviewWindow>>,
     pub system: Arc<Mutex<System>>,
+    // "Unlock all for arranging": every widget window can be moved, whatever its locked flag
+    pub arranging: AtomicBool,
+    // Widgets the user is dragging or resizing; only their moves are saved, not the app's own
+    pub dragged_widgets: Mutex<HashSet<String>>,
 }
 
 // Get config directory
@@ -78,6 +350,39 @@ fn get_cache_dir() -> Result<PathBuf, String> {
     get_config_dir().map(|dir| dir.join("cache"))
 }
 
+// Files bundled with a packaged widget; assets/ inside it is what the widget page sees
+fn get_widget_package_dir(widget_id: &str) -> Result<PathBuf, String> {
+    if !is_safe_id(widget_id) {
+        return Err(format!("Invalid widget id: {}", widget_id));
+    }
+    get_config_dir().map(|dir| dir.join("packages").join(widget_id))
+}
+
+// Widget and dependency ids and cached file names become paths under the config directory,
+// so ones read from imported files must not be able to leave it
+fn is_safe_id(id: &str) -> bool {
+    !id.is_empty() && id.chars().all(|c| c.is_ascii_alphanumeric() || c == '-' || c == '_')
+}
+
+fn is_safe_file_name(name: &str) -> bool {
+    !name.is_empty()
+        && !name.starts_with('.')
+        && name.chars().all(|c| c.is_ascii_alphanumeric() || c == '-' || c == '_' || c == '.')
+}
+
+fn check_imported_paths(widgets: &[Widget], dependencies: &[Dependency]) -> Result<(), String> {
+    if let Some(widget) = widgets.iter().find(|w| !is_safe_id(&w.id)) {
+        return Err(format!("Invalid widget id: {}", widget.id));
+    }
+    if let Some(dependency) = dependencies.iter().find(|d| !is_safe_id(&d.id)) {
+        return Err(format!("Invalid dependency id: {}", dependency.id));
+    }
+    if let Some(file_name) = dependencies.iter().filter_map(|d| d.file_name.as_ref()).find(|f| !is_safe_file_name(f)) {
+        return Err(format!("Invalid cached file name: {}", file_name));
+    }
+    Ok(())
+}
+
 // Ensure directories exist
 fn ensure_directories() -> Result<(), String> {
     let config_dir = get_config_dir()?;
@@ -89,13 +394,16 @@ fn ensure_directories() -> Result<(), String> {
     Ok(())
 }
 
-// Widget commands
-#[tauri::command]
-async fn get_widgets() -> Result<Vec<Widget>, String> {
-    ensure_directories()?;
-    
-    let config_dir = get_config_dir()?;
-    let widgets_file = config_dir.join("widgets.json");
+// widgets.json is changed by commands and by window events; each read-modify-write holds
+// this lock so one can't overwrite what another just saved
+static WIDGETS_FILE_LOCK: std::sync::Mutex<()> = std::sync::Mutex::new(());
+
+fn lock_widgets_file() -> std::sync::MutexGuard<'static, ()> {
+    WIDGETS_FILE_LOCK.lock().unwrap_or_else(|e| e.into_inner())
+}
+
+fn read_widgets() -> Result<Vec<Widget>, String> {
+    let widgets_file = get_config_dir()?.join("widgets.json");
     
     if widgets_file.exists() {
         let content = fs::read_to_string(&widgets_file)
@@ -107,167 +415,1598 @@ async fn get_widgets() -> Result<Vec<Widget>, String> {
     }
 }
 
-#[tauri::command]
-async fn save_widget(widget: Widget) -> Result<(), String> {
-    ensure_directories()?;
+fn write_widgets(widgets: &[Widget]) -> Result<(), String> {
+    let widgets_file = get_config_dir()?.join("widgets.json");
     
-    let config_dir = get_config_dir()?;
-    let widgets_file = config_dir.join("widgets.json");
+    let content = serde_json::to_string_pretty(widgets)
+        .map_err(|e| format!("Failed to serialize widgets: {}", e))?;
+    fs::write(&widgets_file, content)
+        .map_err(|e| format!("Failed to write widgets file: {}", e))
+}
+
+fn read_profiles() -> Result<Vec<Profile>, String> {
+    let profiles_file = get_config_dir()?.join("profiles.json");
     
-    let mut widgets = if widgets_file.exists() {
-        let content = fs::read_to_string(&widgets_file)
-            .map_err(|e| format!("Failed to read widgets file: {}", e))?;
-        serde_json::from_str::<Vec<Widget>>(&content)
-            .map_err(|e| format!("Failed to parse widgets: {}", e))?
+    if profiles_file.exists() {
+        let content = fs::read_to_string(&profiles_file)
+            .map_err(|e| format!("Failed to read profiles file: {}", e))?;
+        serde_json::from_str(&content)
+            .map_err(|e| format!("Failed to parse profiles: {}", e))
     } else {
-        vec![]
-    };
+        Ok(vec![])
+    }
+}
+
+fn write_profiles(profiles: &[Profile]) -> Result<(), String> {
+    let profiles_file = get_config_dir()?.join("profiles.json");
     
-    // Update or add widget
-    if let Some(index) = widgets.iter().position(|w| w.id == widget.id) {
-        widgets[index] = widget;
+    let content = serde_json::to_string_pretty(profiles)
+        .map_err(|e| format!("Failed to serialize profiles: {}", e))?;
+    fs::write(&profiles_file, content)
+        .map_err(|e| format!("Failed to write profiles file: {}", e))
+}
+
+// App preferences (settings.json), a flat object so new options don't need migrations
+fn read_app_settings() -> Result<Map<String, Value>, String> {
+    let settings_file = get_config_dir()?.join("settings.json");
+    
+    if settings_file.exists() {
+        let content = fs::read_to_string(&settings_file)
+            .map_err(|e| format!("Failed to read settings file: {}", e))?;
+        serde_json::from_str(&content)
+            .map_err(|e| format!("Failed to parse settings: {}", e))
     } else {
-        widgets.push(widget);
+        Ok(Map::new())
     }
+}
+
+fn write_app_settings(settings: &Map<String, Value>) -> Result<(), String> {
+    let settings_file = get_config_dir()?.join("settings.json");
     
-    let content = serde_json::to_string_pretty(&widgets)
-        .map_err(|e| format!("Failed to serialize widgets: {}", e))?;
-    fs::write(&widgets_file, content)
-        .map_err(|e| format!("Failed to write widgets file: {}", e))?;
+    let content = serde_json::to_string_pretty(settings)
+        .map_err(|e| format!("Failed to serialize settings: {}", e))?;
+    fs::write(&settings_file, content)
+        .map_err(|e| format!("Failed to write settings file: {}", e))
+}
+
+fn read_dependencies() -> Result<Vec<Dependency>, String> {
+    let dependencies_file = get_config_dir()?.join("dependencies.json");
     
-    Ok(())
+    if dependencies_file.exists() {
+        let content = fs::read_to_string(&dependencies_file)
+            .map_err(|e| format!("Failed to read dependencies file: {}", e))?;
+        serde_json::from_str(&content)
+            .map_err(|e| format!("Failed to parse dependencies: {}", e))
+    } else {
+        Ok(vec![])
+    }
 }
 
-#[tauri::command]
-async fn delete_widget(widget_id: String, app: AppHandle) -> Result<(), String> {
-    ensure_directories()?;
+fn write_dependencies(dependencies: &[Dependency]) -> Result<(), String> {
+    let dependencies_file = get_config_dir()?.join("dependencies.json");
     
-    let config_dir = get_config_dir()?;
-    let widgets_file = config_dir.join("widgets.json");
+    let content = serde_json::to_string_pretty(dependencies)
+        .map_err(|e| format!("Failed to serialize dependencies: {}", e))?;
+    fs::write(&dependencies_file, content)
+        .map_err(|e| format!("Failed to write dependencies file: {}", e))
+}
+
+// Cache file name for a dependency: "<id>-<name>" with unsafe characters removed
+fn dependency_file_name(dependency: &Dependency) -> String {
+    let url_name = dependency.url
+        .split(|c| c == '?' || c == '#')
+        .next()
+        .and_then(|path| path.rsplit('/').next())
+        .filter(|name| !name.is_empty())
+        .unwrap_or("library.js");
+    
+    let safe_name: String = url_name
+        .chars()
+        .map(|c| if c.is_ascii_alphanumeric() || c == '.' || c == '-' || c == '_' { c } else { '_' })
+        .collect();
+    
+    format!("{}-{}", dependency.id, safe_name)
+}
+
+fn is_stylesheet(dependency: &Dependency) -> bool {
+    let path = dependency.file_name.as_deref().unwrap_or(&dependency.url);
+    path.split(|c| c == '?' || c == '#')
+        .next()
+        .map(|p| p.to_lowercase().ends_with(".css"))
+        .unwrap_or(false)
+}
+
+fn compute_integrity(bytes: &[u8]) -> String {
+    format!("sha384-{}", BASE64.encode(Sha384::digest(bytes)))
+}
+
+// Compare the cached file against the pinned hash:
+// "online", "missing", "unverified", "verified" or "modified"
+fn verify_cached_dependency(dependency: &Dependency) -> Result<&'static str, String> {
+    let Some(file_name) = dependency.file_name.as_ref().filter(|_| dependency.cached) else {
+        return Ok("online");
+    };
     
-    let mut widgets = if widgets_file.exists() {
-        let content = fs::read_to_string(&widgets_file)
-            .map_err(|e| format!("Failed to read widgets file: {}", e))?;
-        serde_json::from_str::<Vec<Widget>>(&content)
-            .map_err(|e| format!("Failed to parse widgets: {}", e))?
+    let cached_file = get_cache_dir()?.join(file_name);
+    if !cached_file.exists() {
+        return Ok("missing");
+    }
+    
+    let Some(integrity) = &dependency.integrity else {
+        return Ok("unverified");
+    };
+    
+    let bytes = fs::read(&cached_file)
+        .map_err(|e| format!("Failed to read cached file: {}", e))?;
+    
+    Ok(if &compute_integrity(&bytes) == integrity { "verified" } else { "modified" })
+}
+
+fn looks_like_version(value: &str) -> bool {
+    let value = value.strip_prefix('v').unwrap_or(value);
+    value.starts_with(|c: char| c.is_ascii_digit())
+        && value.contains('.')
+        && value.chars().all(|c| c.is_ascii_alphanumeric() || c == '.' || c == '-' || c == '+')
+}
+
+// Package name and version from common CDN URL layouts:
+// npm style "name@1.2.3" (jsdelivr, unpkg), cdnjs "/ajax/libs/name/1.2.3/"
+// and plain "/name/1.2.3/" paths (e.g. a local file server).
+fn parse_dependency_version(url: &str) -> Option<(String, String)> {
+    let path = url.split(|c| c == '?' || c == '#').next()?;
+    let path = path.split_once("://").map(|(_, rest)| rest).unwrap_or(path);
+    let segments: Vec<&str> = path.split('/').collect();
+    
+    for (i, segment) in segments.iter().enumerate().skip(1) {
+        if let Some(at) = segment.rfind('@').filter(|at| *at > 0) {
+            let version = &segment[at + 1..];
+            if looks_like_version(version) {
+                let name = &segment[..at];
+                let name = if segments[i - 1].starts_with('@') {
+                    format!("{}/{}", segments[i - 1], name)
+                } else {
+                    name.to_string()
+                };
+                return Some((name, version.to_string()));
+            }
+        }
+    }
+    
+    // Version as its own directory, the file name is never the version
+    for i in 2..segments.len().saturating_sub(1) {
+        if looks_like_version(segments[i]) {
+            return Some((segments[i - 1].to_string(), segments[i].to_string()));
+        }
+    }
+    
+    None
+}
+
+async fn download_file(url: &str) -> Result<(String, Vec<u8>), String> {
+    let response = reqwest::get(url)
+        .await
+        .and_then(|r| r.error_for_status())
+        .map_err(|e| format!("Failed to download {}: {}", url, e))?;
+    let final_url = response.url().to_string();
+    let bytes = response.bytes()
+        .await
+        .map_err(|e| format!("Failed to download {}: {}", url, e))?;
+    
+    Ok((final_url, bytes.to_vec()))
+}
+
+// Latest published version for npm-style and cdnjs URLs.
+// Registries can be pointed elsewhere (e.g. a local server) with
+// DASHLAYER_NPM_REGISTRY and DASHLAYER_CDNJS_API.
+async fn fetch_latest_version(url: &str, package: &str) -> Result<Option<String>, String> {
+    let lookup = if url.contains("/ajax/libs/") {
+        let api = std::env::var("DASHLAYER_CDNJS_API").unwrap_or_else(|_| "https://api.cdnjs.com".to_string());
+        format!("{}/libraries/{}?fields=version", api.trim_end_matches('/'), package)
+    } else if url.contains(&format!("{}@", package)) {
+        let registry = std::env::var("DASHLAYER_NPM_REGISTRY").unwrap_or_else(|_| "https://registry.npmjs.org".to_string());
+        format!("{}/{}/latest", registry.trim_end_matches('/'), package)
     } else {
-        vec![]
+        return Ok(None);
     };
     
-    widgets.retain(|w| w.id != widget_id);
+    let info: Value = reqwest::get(&lookup)
+        .await
+        .and_then(|r| r.error_for_status())
+        .map_err(|e| format!("Failed to check latest version: {}", e))?
+        .json()
+        .await
+        .map_err(|e| format!("Failed to parse version info: {}", e))?;
     
-    let content = serde_json::to_string_pretty(&widgets)
-        .map_err(|e| format!("Failed to serialize widgets: {}", e))?;
-    fs::write(&widgets_file, content)
-        .map_err(|e| format!("Failed to write widgets file: {}", e))?;
+    Ok(info.get("version").and_then(Value::as_str).map(String::from))
+}
+
+// Write downloaded bytes to the cache and record hash, size and version
+fn store_dependency_file(dependency: &mut Dependency, final_url: &str, bytes: &[u8]) -> Result<(), String> {
+    let cache_dir = get_cache_dir()?;
+    let file_name = dependency_file_name(dependency);
     
-    // Close widget window if open
-    let state = app.state::<AppState>();
-    let windows = state.widget_windows.lock().await;
-    if let Some(window) = windows.get(&widget_id) {
-        let _ = window.close();
+    // Replace the previous file if the name changed (re-pinned URL)
+    if let Some(old_file) = dependency.file_name.as_ref().filter(|f| **f != file_name) {
+        let _ = fs::remove_file(cache_dir.join(old_file));
     }
     
+    fs::write(cache_dir.join(&file_name), bytes)
+        .map_err(|e| format!("Failed to write cached file: {}", e))?;
+    
+    dependency.cached = true;
+    dependency.file_name = Some(file_name);
+    dependency.integrity = Some(compute_integrity(bytes));
+    dependency.size = Some(bytes.len() as u64);
+    dependency.version = parse_dependency_version(final_url)
+        .or_else(|| parse_dependency_version(&dependency.url))
+        .map(|(_, version)| version);
+    
     Ok(())
 }
 
-#[tauri::command]
-async fn create_widget_window(widget: Widget, app: AppHandle) -> Result<String, String> {
-    let state = app.state::<AppState>();
-    let mut windows = state.widget_windows.lock().await;
-    
-    // Close existing window if open
-    if let Some(existing) = windows.get(&widget.id) {
-        let _ = existing.close();
+// Where a widget page loads a dependency from: the cache when the file is usable, else its URL.
+// Inline pages (the editor preview) can't reach the cache directory, so they get a data: URL.
+fn dependency_src(dependency: &Dependency, status: &str, inline: bool) -> Result<String, String> {
+    match &dependency.file_name {
+        Some(file_name) if status == "verified" || status == "unverified" => {
+            if !inline {
+                // Absolute, so it still resolves under a packaged widget's <base>
+                return Ok(format!("file://{}/{}", get_cache_dir()?.display(), urlencoding::encode(file_name)));
+            }
+            let bytes = fs::read(get_cache_dir()?.join(file_name))
+                .map_err(|e| format!("Failed to read cached dependency: {}", e))?;
+            let mime = if is_stylesheet(dependency) { "text/css" } else { "text/javascript" };
+            Ok(format!("data:{};base64,{}", mime, BASE64.encode(bytes)))
+        }
+        _ => Ok(dependency.url.clone()),
+    }
+}
+
+fn is_cached_src(src: &str) -> bool {
+    src.starts_with("file://") || src.starts_with("data:")
+}
+
+// Bare specifier for `import x from '<specifier>'`
+fn dependency_specifier(dependency: &Dependency) -> String {
+    dependency.specifier.clone()
+        .filter(|s| !s.trim().is_empty())
+        .or_else(|| parse_dependency_version(&dependency.url).map(|(name, _)| name))
+        .unwrap_or_else(|| dependency.name.split('.').next().unwrap_or(&dependency.name).to_string())
+}
+
+// Import map for module widgets, built from every JS entry in the Dependency manager.
+// Entries whose cached file fails its integrity check are left out.
+fn build_import_map(inline: bool) -> Result<String, String> {
+    let mut imports = Map::new();
+    
+    for dependency in read_dependencies()? {
+        if is_stylesheet(&dependency) {
+            continue;
+        }
+        let status = verify_cached_dependency(&dependency)?;
+        if status == "modified" {
+            continue;
+        }
+        imports.insert(dependency_specifier(&dependency), Value::String(dependency_src(&dependency, status, inline)?));
+    }
+    
+    Ok(format!(
+        "    <script type=\"importmap\">{}</script>\n",
+        to_script_json(&json!({ "imports": imports }))
+    ))
+}
+
+// <link>/<script> tags for the widget's dependencies, in the widget's order.
+// Cached files are loaded from disk, others from their URL.
+// A cached file that no longer matches its pinned hash refuses the load.
+fn build_dependency_tags(widget: &Widget, inline: bool) -> Result<(String, String), String> {
+    if widget.dependencies.is_empty() {
+        return Ok((String::new(), String::new()));
+    }
+    
+    let dependencies = read_dependencies()?;
+    let mut styles = String::new();
+    let mut scripts = String::new();
+    
+    for dependency_id in &widget.dependencies {
+        let Some(dependency) = dependencies.iter().find(|d| &d.id == dependency_id) else {
+            continue;
+        };
+        
+        let status = verify_cached_dependency(dependency)?;
+        if status == "modified" {
+            return Err(format!(
+                "Dependency \"{}\" no longer matches its pinned hash. Download it again in the Dependencies tab.",
+                dependency.name
+            ));
+        }
+        
+        let src = dependency_src(dependency, status, inline)?.replace('"', "&quot;");
+        let integrity = if is_cached_src(&src) {
+            String::new()
+        } else {
+            // Online fallback: let the browser enforce the pinned hash
+            dependency.integrity.as_ref()
+                .map(|hash| format!(" integrity=\"{}\" crossorigin=\"anonymous\"", hash))
+                .unwrap_or_default()
+        };
+        
+        if is_stylesheet(dependency) {
+            styles.push_str(&format!("    <link rel=\"stylesheet\" href=\"{}\"{}>\n", src, integrity));
+        } else {
+            scripts.push_str(&format!("    <script src=\"{}\"{}></script>\n", src, integrity));
+        }
+    }
+    
+    Ok((styles, scripts))
+}
+
+// Per-widget storage used by `dashlayer.storage`. The id comes from widget scripts,
+// so it is checked before it becomes part of a path.
+fn get_widget_storage_file(widget_id: &str) -> Result<PathBuf, String> {
+    if !is_safe_id(widget_id) {
+        return Err(format!("Invalid widget id: {}", widget_id));
+    }
+    get_config_dir().map(|dir| dir.join("storage").join(format!("{}.json", widget_id)))
+}
+
+fn read_widget_storage(widget_id: &str) -> Result<Map<String, Value>, String> {
+    let storage_file = get_widget_storage_file(widget_id)?;
+    
+    if storage_file.exists() {
+        let content = fs::read_to_string(&storage_file)
+            .map_err(|e| format!("Failed to read widget storage: {}", e))?;
+        serde_json::from_str(&content)
+            .map_err(|e| format!("Failed to parse widget storage: {}", e))
+    } else {
+        Ok(Map::new())
+    }
+}
+
+// Settings values with schema defaults filled in
+fn resolve_widget_settings(widget: &Widget) -> Map<String, Value> {
+    let mut settings = Map::new();
+    
+    for field in &widget.settings_schema {
+        if let (Some(key), Some(default)) = (field.get("key").and_then(Value::as_str), field.get("default")) {
+            settings.insert(key.to_string(), default.clone());
+        }
+    }
+    
+    for (key, value) in &widget.settings {
+        settings.insert(key.clone(), value.clone());
+    }
+    
+    settings
+}
+
+// Serialize a value for embedding inside an inline <script> block
+fn to_script_json(value: &Value) -> String {
+    value.to_string().replace("</", "<\\/")
+}
+
+// Widget commands
+#[tauri::command]
+async fn get_widgets() -> Result<Vec<Widget>, String> {
+    ensure_directories()?;
+    
+    let config_dir = get_config_dir()?;
+    let widgets_file = config_dir.join("widgets.json");
+    
+    if widgets_file.exists() {
+        let content = fs::read_to_string(&widgets_file)
+            .map_err(|e| format!("Failed to read widgets file: {}", e))?;
+        serde_json::from_str(&content)
+            .map_err(|e| format!("Failed to parse widgets: {}", e))
+    } else {
+        Ok(vec![])
+    }
+}
+
+#[tauri::command]
+async fn save_widget(widget: Widget, message: Option<String>) -> Result<(), String> {
+    ensure_directories()?;
+    let _lock = lock_widgets_file();
+    
+    let config_dir = get_config_dir()?;
+    let widgets_file = config_dir.join("widgets.json");
+    
+    let mut widgets = if widgets_file.exists() {
+        let content = fs::read_to_string(&widgets_file)
+            .map_err(|e| format!("Failed to read widgets file: {}", e))?;
+        serde_json::from_str::<Vec<Widget>>(&content)
+            .map_err(|e| format!("Failed to parse widgets: {}", e))?
+    } else {
+        vec![]
+    };
+    
+    // Update or add widget
+    let previous = widgets.iter().find(|w| w.id == widget.id).cloned();
+    if let Some(index) = widgets.iter().position(|w| w.id == widget.id) {
+        widgets[index] = widget.clone();
+    } else {
+        widgets.push(widget.clone());
+    }
+    
+    let content = serde_json::to_string_pretty(&widgets)
+        .map_err(|e| format!("Failed to serialize widgets: {}", e))?;
+    fs::write(&widgets_file, content)
+        .map_err(|e| format!("Failed to write widgets file: {}", e))?;
+    
+    record_revision(previous.as_ref(), &widget, message)
+}
+
+#[tauri::command]
+async fn delete_widget(widget_id: String, app: AppHandle) -> Result<(), String> {
+    ensure_directories()?;
+    
+    {
+        let _lock = lock_widgets_file();
+        let config_dir = get_config_dir()?;
+        let widgets_file = config_dir.join("widgets.json");
+        
+        let mut widgets = if widgets_file.exists() {
+            let content = fs::read_to_string(&widgets_file)
+                .map_err(|e| format!("Failed to read widgets file: {}", e))?;
+            serde_json::from_str::<Vec<Widget>>(&content)
+                .map_err(|e| format!("Failed to parse widgets: {}", e))?
+        } else {
+            vec![]
+        };
+        
+        // Move the widget to the trash; its storage, package and history stay until it's purged
+        if let Some(index) = widgets.iter().position(|w| w.id == widget_id) {
+            let widget = widgets.remove(index);
+            let mut trash = read_trash()?;
+            trash.retain(|t| t.widget.id != widget_id);
+            trash.push(TrashedWidget { widget, deleted_at: unix_millis() });
+            write_trash(&trash)?;
+        }
+        
+        let content = serde_json::to_string_pretty(&widgets)
+            .map_err(|e| format!("Failed to serialize widgets: {}", e))?;
+        fs::write(&widgets_file, content)
+            .map_err(|e| format!("Failed to write widgets file: {}", e))?;
+    }
+    
+    // Close widget window if open
+    let state = app.state::<AppState>();
+    let windows = state.widget_windows.lock().await;
+    if let Some(window) = windows.get(&widget_id) {
+        let _ = window.close();
+    }
+    
+    Ok(())
+}
+
+// Revision history, kept per widget in revisions/<id>.json (oldest first)
+const MAX_REVISIONS: usize = 50;
+
+fn get_revisions_file(widget_id: &str) -> Result<PathBuf, String> {
+    if !is_safe_id(widget_id) {
+        return Err(format!("Invalid widget id: {}", widget_id));
+    }
+    get_config_dir().map(|dir| dir.join("revisions").join(format!("{}.json", widget_id)))
+}
+
+fn read_revisions(widget_id: &str) -> Result<Vec<Revision>, String> {
+    let revisions_file = get_revisions_file(widget_id)?;
+    
+    if revisions_file.exists() {
+        let content = fs::read_to_string(&revisions_file)
+            .map_err(|e| format!("Failed to read revisions: {}", e))?;
+        serde_json::from_str(&content)
+            .map_err(|e| format!("Failed to parse revisions: {}", e))
+    } else {
+        Ok(vec![])
+    }
+}
+
+fn write_revisions(widget_id: &str, revisions: &[Revision]) -> Result<(), String> {
+    let revisions_file = get_revisions_file(widget_id)?;
+    if let Some(parent) = revisions_file.parent() {
+        fs::create_dir_all(parent).map_err(|e| format!("Failed to create revisions directory: {}", e))?;
+    }
+    
+    let content = serde_json::to_string_pretty(revisions)
+        .map_err(|e| format!("Failed to serialize revisions: {}", e))?;
+    fs::write(&revisions_file, content)
+        .map_err(|e| format!("Failed to write revisions: {}", e))
+}
+
+fn revision_of(widget: &Widget, message: Option<String>) -> Revision {
+    Revision {
+        id: new_id(),
+        saved_at: unix_millis(),
+        message,
+        html: widget.html.clone(),
+        css: widget.css.clone(),
+        js: widget.js.clone(),
+        settings: widget.settings.clone(),
+    }
+}
+
+fn same_content(revision: &Revision, widget: &Widget) -> bool {
+    revision.html == widget.html
+        && revision.css == widget.css
+        && revision.js == widget.js
+        && revision.settings == widget.settings
+}
+
+// Keep a revision when a save changes the code or settings. A widget saved before it
+// had any history first gets its previous version recorded, so that can be restored too.
+// A message on an unchanged save labels the latest revision.
+fn record_revision(previous: Option<&Widget>, widget: &Widget, message: Option<String>) -> Result<(), String> {
+    let message = message.map(|m| m.trim().to_string()).filter(|m| !m.is_empty());
+    let mut revisions = read_revisions(&widget.id)?;
+    if revisions.is_empty() {
+        revisions.extend(previous.map(|previous| revision_of(previous, None)));
+    }
+    
+    match revisions.last_mut() {
+        Some(last) if same_content(last, widget) => {
+            let Some(message) = message else {
+                return Ok(());
+            };
+            last.message = Some(message);
+        }
+        _ => revisions.push(revision_of(widget, message)),
+    }
+    
+    let excess = revisions.len().saturating_sub(MAX_REVISIONS);
+    revisions.drain(..excess);
+    write_revisions(&widget.id, &revisions)
+}
+
+#[tauri::command]
+async fn get_widget_revisions(widget_id: String) -> Result<Vec<Revision>, String> {
+    read_revisions(&widget_id)
+}
+
+// Trash: deleted widgets wait in trash.json until they're restored or purged
+fn read_trash() -> Result<Vec<TrashedWidget>, String> {
+    let trash_file = get_config_dir()?.join("trash.json");
+    
+    if trash_file.exists() {
+        let content = fs::read_to_string(&trash_file)
+            .map_err(|e| format!("Failed to read trash: {}", e))?;
+        serde_json::from_str(&content)
+            .map_err(|e| format!("Failed to parse trash: {}", e))
+    } else {
+        Ok(vec![])
+    }
+}
+
+fn write_trash(trash: &[TrashedWidget]) -> Result<(), String> {
+    let trash_file = get_config_dir()?.join("trash.json");
+    
+    let content = serde_json::to_string_pretty(trash)
+        .map_err(|e| format!("Failed to serialize trash: {}", e))?;
+    fs::write(&trash_file, content)
+        .map_err(|e| format!("Failed to write trash: {}", e))
+}
+
+// Storage, packaged assets and history of a widget that is gone for good
+fn remove_widget_files(widget_id: &str) -> Result<(), String> {
+    for file in [get_widget_storage_file(widget_id)?, get_revisions_file(widget_id)?] {
+        if file.exists() {
+            let _ = fs::remove_file(&file);
+        }
+    }
+    let package_dir = get_widget_package_dir(widget_id)?;
+    if package_dir.exists() {
+        let _ = fs::remove_dir_all(&package_dir);
+    }
+    
+    Ok(())
+}
+
+#[tauri::command]
+async fn get_trash() -> Result<Vec<TrashedWidget>, String> {
+    read_trash()
+}
+
+#[tauri::command]
+async fn restore_widget(widget_id: String) -> Result<Widget, String> {
+    let mut trash = read_trash()?;
+    let index = trash.iter().position(|t| t.widget.id == widget_id)
+        .ok_or_else(|| format!("Widget {} is not in the trash", widget_id))?;
+    
+    let _lock = lock_widgets_file();
+    let mut widgets = read_widgets()?;
+    if widgets.iter().any(|w| w.id == widget_id) {
+        return Err("A widget with the same id already exists".to_string());
+    }
+    
+    let widget = trash.remove(index).widget;
+    widgets.push(widget.clone());
+    write_widgets(&widgets)?;
+    write_trash(&trash)?;
+    
+    Ok(widget)
+}
+
+#[tauri::command]
+async fn purge_widget(widget_id: String) -> Result<(), String> {
+    let mut trash = read_trash()?;
+    let count = trash.len();
+    trash.retain(|t| t.widget.id != widget_id);
+    
+    // Only trashed widgets can be purged, never a live one by its id
+    if trash.len() == count {
+        return Err(format!("Widget {} is not in the trash", widget_id));
+    }
+    write_trash(&trash)?;
+    
+    remove_widget_files(&widget_id)
+}
+
+#[tauri::command]
+async fn empty_trash() -> Result<(), String> {
+    for trashed in read_trash()? {
+        remove_widget_files(&trashed.widget.id)?;
+    }
+    
+    write_trash(&[])
+}
+
+// Full HTML page for a widget. Preview pages are rendered into the editor's
+// sandboxed iframe, so they inline cached dependencies and tell the runtime
+// it can't reach the backend.
+// Trial pages come from the template gallery and get a close button.
+fn render_widget_page(widget: &Widget, preview: bool, trial: bool) -> Result<String, String> {
+    // Context read by the injected runtime
+    let runtime_context = json!({
+        "version": env!("CARGO_PKG_VERSION"),
+        "widget": {
+            "id": widget.id,
+            "name": widget.name,
+            "width": widget.width,
+            "height": widget.height
+        },
+        "locked": widget.locked,
+        "settings": resolve_widget_settings(widget),
+        "storage": read_widget_storage(&widget.id)?,
+        "preview": preview,
+        "trial": trial
+    });
+    
+    let (dependency_styles, dependency_scripts) = build_dependency_tags(widget, preview)?;
+    
+    // Module widgets get an import map. The runtime runs the code itself
+    // (classic or module) so it can be re-run on hot reload.
+    let import_map = if widget.module { build_import_map(preview)? } else { String::new() };
+    let widget_script = format!(
+        "<script>window.__dashlayerRuntime.run({}, {});</script>",
+        to_script_json(&Value::String(widget.js.clone())),
+        widget.module
+    );
+    
+    // Packaged widgets resolve relative URLs (assets/logo.png) against their package folder
+    let package_dir = get_widget_package_dir(&widget.id)?;
+    let base = if !preview && package_dir.exists() {
+        format!("    <base href=\"file://{}/\">\n", package_dir.display().to_string().replace('"', "&quot;"))
+    } else {
+        String::new()
+    };
+    
+    // Create widget HTML content - clean, no controls
+    Ok(format!(
+        r#"<!DOCTYPE html>
+<html lang="en" style="margin:0;padding:0;height:100%;overflow:hidden;">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>{title}</title>
+{base}{import_map}{dependency_styles}    <style>
+        *, *::before, *::after {{
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }}
+        
+        html, body {{
+            width: 100%;
+            height: 100%;
+            overflow: hidden;
+            background: transparent;
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        }}
+        
+        #widget-root {{
+            width: 100%;
+            height: 100%;
+            opacity: {opacity};
+        }}
+    </style>
+    <style id="dashlayer-widget-css">
+        {css}
+    </style>
+    <script>window.__DASHLAYER_CONTEXT__ = {context};</script>
+    <script>{runtime}</script>
+</head>
+<body>
+    <div id="widget-root">{html}</div>
+{dependency_scripts}    {widget_script}
+</body>
+</html>"#,
+        title = widget.name,
+        base = base,
+        import_map = import_map,
+        dependency_styles = dependency_styles,
+        dependency_scripts = dependency_scripts,
+        opacity = widget.opacity as f32 / 100.0,
+        css = widget.css,
+        context = to_script_json(&runtime_context),
+        runtime = WIDGET_RUNTIME,
+        html = widget.html,
+        widget_script = widget_script
+    ))
+}
+
+#[tauri::command]
+async fn create_widget_window(widget: Widget, app: AppHandle) -> Result<String, String> {
+    open_widget_window(widget, &app, false).await
+}
+
+// Open a widget in a temporary window that is never saved. Its page and storage
+// are removed again when the window closes.
+#[tauri::command]
+async fn try_widget(widget: Widget, app: AppHandle) -> Result<String, String> {
+    let widget = Widget {
+        id: format!("try-{}", new_id()),
+        locked: false,
+        click_through: false,
+        ..widget
+    };
+    open_widget_window(widget, &app, true).await
+}
+
+// Called by a trial window's close button. Widget windows can't close themselves,
+// so only the window asking, and only if it is a trial, is closed here.
+#[tauri::command]
+async fn close_trial_widget(window: WebviewWindow) -> Result<(), String> {
+    if !window.label().starts_with("try-") {
+        return Err(format!("Widget {} is not a trial", window.label()));
+    }
+    window.close().map_err(|e| format!("Failed to close widget window: {}", e))
+}
+
+async fn open_widget_window(widget: Widget, app: &AppHandle, trial: bool) -> Result<String, String> {
+    let state = app.state::<AppState>();
+    let mut windows = state.widget_windows.lock().await;
+    
+    // Close existing window if open
+    if let Some(existing) = windows.get(&widget.id) {
+        let _ = existing.close();
+    }
+    
+    // Locked widgets can't be moved or resized, unless everything is unlocked for arranging
+    let locked = widget.locked && !state.arranging.load(Ordering::SeqCst);
+    let widget_html = render_widget_page(&Widget { locked, ..widget.clone() }, false, trial)?;
+    
+    // Write HTML file to config directory (not monitored by dev server)
+    let widgets_dir = get_config_dir()?.join("widgets");
+    
+    fs::create_dir_all(&widgets_dir).map_err(|e| format!("Failed to create widgets directory: {}", e))?;
+    
+    let widget_file = widgets_dir.join(format!("{}.html", widget.id));
+    fs::write(&widget_file, &widget_html)
+        .map_err(|e| format!("Failed to write widget HTML: {}", e))?;
+    
+    // Use file:// URL to load from config directory
+    let widget_url = format!("file://{}", widget_file.display());
+    
+    // Create new window with correct Tauri v2 API
+    let window = WebviewWindowBuilder::new(
+        app,
+        &widget.id,
+        tauri::WebviewUrl::External(widget_url.parse().map_err(|e| format!("Invalid URL: {}", e))?)
+    )
+    .title(&widget.name)
+    .inner_size(widget.width as f64, widget.height as f64)
+    .resizable(!locked)
+    .decorations(false)
+    .transparent(widget.transparent)
+    .always_on_top(widget_layer(&widget) == "top")
+    .always_on_bottom(widget_layer(&widget) == "desktop")
+    .skip_taskbar(true)
+    .position(widget.x as f64, widget.y as f64)
+    .build()
+    .map_err(|e| format!("Failed to create widget window: {}", e))?;
+    
+    if let Some(position) = resolve_widget_position(app, &widget) {
+        let _ = window.set_position(position);
+    }
+    if widget.click_through {
+        let _ = window.set_ignore_cursor_events(true);
+    }
+    
+    if trial {
+        let widget_id = widget.id.clone();
+        window.on_window_event(move |event| {
+            if matches!(event, tauri::WindowEvent::Destroyed) {
+                let _ = fs::remove_file(&widget_file);
+                if let Ok(storage_file) = get_widget_storage_file(&widget_id) {
+                    let _ = fs::remove_file(storage_file);
+                }
+            }
+        });
+        return Ok(widget.id);
+    }
+    
+    // Save the geometry once the window has stopped moving or resizing after a drag by the user.
+    // Moves made by the app (placement, repositioning, the layout editor) are already saved.
+    let saves = Arc::new(AtomicU64::new(0));
+    let handle = app.clone();
+    let widget_id = widget.id.clone();
+    window.on_window_event(move |event| {
+        if !matches!(event, tauri::WindowEvent::Moved(_) | tauri::WindowEvent::Resized(_)) {
+            return;
+        }
+        let generation = saves.fetch_add(1, Ordering::SeqCst) + 1;
+        let (saves, app, widget_id) = (saves.clone(), handle.clone(), widget_id.clone());
+        tauri::async_runtime::spawn(async move {
+            tokio::time::sleep(tokio::time::Duration::from_millis(GEOMETRY_SAVE_DELAY)).await;
+            if saves.load(Ordering::SeqCst) != generation {
+                return;
+            }
+            let dragged = app.state::<AppState>().dragged_widgets.lock().await.remove(&widget_id);
+            if dragged {
+                let _ = save_window_geometry(&app, &widget_id);
+            }
+        });
+    });
+    
+    windows.insert(widget.id.clone(), window);
+    
+    Ok(widget.id)
+}
+
+fn widget_layer(widget: &Widget) -> &str {
+    match widget.layer.as_deref() {
+        Some(layer @ ("desktop" | "normal" | "top")) => layer,
+        _ if widget.always_on_top => "top",
+        _ => "normal",
+    }
+}
+
+// Let a click-through widget receive the mouse for a while, or make it click-through again
+#[tauri::command]
+async fn set_widget_interactive(widget_id: String, interactive: bool, app: AppHandle) -> Result<(), String> {
+    let state = app.state::<AppState>();
+    let windows = state.widget_windows.lock().await;
+    let window = windows.get(&widget_id)
+        .ok_or_else(|| format!("Widget window {} is not open", widget_id))?;
+    
+    window.set_ignore_cursor_events(!interactive)
+        .map_err(|e| format!("Failed to change click-through: {}", e))
+}
+
+// Called by the runtime right before it starts a drag or resize of the widget window
+#[tauri::command]
+async fn begin_widget_drag(widget_id: String, app: AppHandle) -> Result<(), String> {
+    app.state::<AppState>().dragged_widgets.lock().await.insert(widget_id);
+    Ok(())
+}
+
+// Milliseconds a widget window must stay still before its geometry is saved
+const GEOMETRY_SAVE_DELAY: u64 = 500;
+
+// Write a widget window's current position and size back to widgets.json, on the
+// monitor it was moved to and in the widget's own placement mode, and tell the manager
+fn save_window_geometry(app: &AppHandle, widget_id: &str) -> Result<(), String> {
+    let window = app.get_webview_window(widget_id)
+        .ok_or_else(|| format!("Widget window {} is not open", widget_id))?;
+    let position = window.outer_position().map_err(|e| format!("Failed to get window position: {}", e))?;
+    let size = window.inner_size().map_err(|e| format!("Failed to get window size: {}", e))?;
+    
+    let _lock = lock_widgets_file();
+    let mut widgets = read_widgets()?;
+    let Some(widget) = widgets.iter_mut().find(|w| w.id == widget_id) else {
+        return Ok(());
+    };
+    if widget.locked && !app.state::<AppState>().arranging.load(Ordering::SeqCst) {
+        return Ok(());
+    }
+    
+    let monitors = app.available_monitors().map_err(|e| format!("Failed to get monitors: {}", e))?;
+    let center_x = position.x + size.width as i32 / 2;
+    let center_y = position.y + size.height as i32 / 2;
+    let Some((index, monitor)) = monitors.iter().enumerate()
+        .find(|(_, m)| {
+            let (origin, bounds) = (m.position(), m.size());
+            center_x >= origin.x && center_x < origin.x + bounds.width as i32
+                && center_y >= origin.y && center_y < origin.y + bounds.height as i32
+        })
+        .or_else(|| monitors.iter().enumerate().next())
+    else {
+        return Ok(());
+    };
+    
+    let scale = monitor.scale_factor();
+    let free_x = (monitor.size().width as f64 - size.width as f64).max(0.0);
+    let free_y = (monitor.size().height as f64 - size.height as f64).max(0.0);
+    let offset_x = (position.x - monitor.position().x) as f64;
+    let offset_y = (position.y - monitor.position().y) as f64;
+    
+    let mut updated = widget.clone();
+    updated.monitor = Some(monitor_id(monitor, index));
+    updated.width = (size.width as f64 / scale).round() as u32;
+    updated.height = (size.height as f64 / scale).round() as u32;
+    if let Some(anchor) = &widget.anchor {
+        let (horizontal, vertical) = anchor_factors(anchor);
+        updated.x = (axis_margin(free_x, horizontal, offset_x) / scale).round() as i32;
+        updated.y = (axis_margin(free_y, vertical, offset_y) / scale).round() as i32;
+    } else if widget.percent_x.is_some() || widget.percent_y.is_some() {
+        let percent = |offset: f64, free: f64| if free > 0.0 { (offset / free * 1000.0).round() / 10.0 } else { 0.0 };
+        updated.percent_x = Some(percent(offset_x, free_x));
+        updated.percent_y = Some(percent(offset_y, free_y));
+    } else {
+        updated.x = (offset_x / scale).round() as i32;
+        updated.y = (offset_y / scale).round() as i32;
+    }
+    
+    let geometry = |w: &Widget| (w.monitor.clone(), w.x, w.y, w.width, w.height, w.percent_x, w.percent_y);
+    if geometry(&updated) == geometry(widget) {
+        return Ok(());
+    }
+    
+    *widget = updated.clone();
+    write_widgets(&widgets)?;
+    app.emit_to("main", "dashlayer://widget-geometry", &updated)
+        .map_err(|e| format!("Failed to notify manager: {}", e))
+}
+
+// Apply a lock state to an open widget window: resizing, and the runtime's drag bar and grip
+fn apply_window_lock(window: &WebviewWindow, widget_id: &str, locked: bool) {
+    let _ = window.set_resizable(!locked);
+    let _ = window.emit_to(widget_id, "dashlayer://lock", json!({ "widgetId": widget_id, "locked": locked }));
+}
+
+#[tauri::command]
+async fn set_widget_locked(widget_id: String, locked: bool, app: AppHandle) -> Result<(), String> {
+    {
+        let _lock = lock_widgets_file();
+        let mut widgets = read_widgets()?;
+        let widget = widgets.iter_mut()
+            .find(|w| w.id == widget_id)
+            .ok_or_else(|| format!("Widget {} not found", widget_id))?;
+        widget.locked = locked;
+        write_widgets(&widgets)?;
+    }
+    
+    let state = app.state::<AppState>();
+    let windows = state.widget_windows.lock().await;
+    if let Some(window) = windows.get(&widget_id) {
+        apply_window_lock(window, &widget_id, locked && !state.arranging.load(Ordering::SeqCst));
+    }
+    
+    Ok(())
+}
+
+// Temporarily unlock every widget window, or restore each widget's own lock
+#[tauri::command]
+async fn set_arrange_mode(enabled: bool, app: AppHandle) -> Result<(), String> {
+    let state = app.state::<AppState>();
+    state.arranging.store(enabled, Ordering::SeqCst);
+    
+    let widgets = read_widgets()?;
+    let windows = state.widget_windows.lock().await;
+    for widget in &widgets {
+        if let Some(window) = windows.get(&widget.id) {
+            apply_window_lock(window, &widget.id, widget.locked && !enabled);
+        }
+    }
+    
+    Ok(())
+}
+
+// Page for the editor's preview pane, rendered without saving the widget
+#[tauri::command]
+async fn render_widget_preview(widget: Widget) -> Result<String, String> {
+    render_widget_page(&widget, true, false)
+}
+
+#[tauri::command]
+async fn close_widget_window(widget_id: String, app: AppHandle) -> Result<(), String> {
+    let state = app.state::<AppState>();
+    let mut windows = state.widget_windows.lock().await;
+    
+    if let Some(window) = windows.remove(&widget_id) {
+        window.close().map_err(|e| format!("Failed to close widget window: {}", e))?;
+    }
+    
+    Ok(())
+}
+
+// Widget packages (.dashlayer)
+const PACKAGE_FORMAT: u32 = 1;
+
+// "My Widget!" -> "my-widget", for exported file names
+fn file_slug(name: &str, fallback: &str) -> String {
+    let slug: String = name.to_lowercase()
+        .chars()
+        .map(|c| if c.is_alphanumeric() { c } else { '-' })
+        .collect();
+    let slug = slug.split('-').filter(|part| !part.is_empty()).collect::<Vec<_>>().join("-");
+    if slug.is_empty() { fallback.to_string() } else { slug }
+}
+
+// Exported files go to the Downloads folder
+fn get_export_dir() -> Result<PathBuf, String> {
+    dirs::download_dir()
+        .or_else(dirs::home_dir)
+        .ok_or_else(|| "Failed to get downloads directory".to_string())
+}
+
+// Files under `dir`, as (path inside the zip, path on disk)
+fn collect_package_files(dir: &Path, prefix: &str, files: &mut Vec<(String, PathBuf)>) -> Result<(), String> {
+    let entries = fs::read_dir(dir).map_err(|e| format!("Failed to read package assets: {}", e))?;
+    for entry in entries.flatten() {
+        let path = entry.path();
+        let name = format!("{}/{}", prefix, entry.file_name().to_string_lossy());
+        if path.is_dir() {
+            collect_package_files(&path, &name, files)?;
+        } else {
+            files.push((name, path));
+        }
+    }
+    Ok(())
+}
+
+fn read_zip_text(archive: &mut ZipArchive<Cursor<Vec<u8>>>, name: &str) -> Result<Option<String>, String> {
+    let mut file = match archive.by_name(name) {
+        Ok(file) => file,
+        Err(_) => return Ok(None),
+    };
+    let mut content = String::new();
+    file.read_to_string(&mut content)
+        .map_err(|e| format!("Failed to read {} from package: {}", name, e))?;
+    Ok(Some(content))
+}
+
+// Build a .dashlayer zip for the widget and save it to the Downloads folder
+#[tauri::command]
+async fn export_widget_package(widget: Widget) -> Result<String, String> {
+    let dependencies = read_dependencies()?;
+    let manifest = PackageManifest {
+        format: PACKAGE_FORMAT,
+        name: widget.name.clone(),
+        version: Some(widget.version.clone().unwrap_or_else(|| "1.0.0".to_string())),
+        author: widget.author.clone(),
+        description: widget.description.clone(),
+        size: PackageSize { width: widget.width, height: widget.height },
+        opacity: Some(widget.opacity),
+        always_on_top: Some(widget.always_on_top),
+        layer: Some(widget_layer(&widget).to_string()),
+        click_through: widget.click_through,
+        transparent: Some(widget.transparent),
+        module: widget.module,
+        settings_schema: widget.settings_schema.clone(),
+        dependencies: widget.dependencies.iter()
+            .filter_map(|id| dependencies.iter().find(|d| &d.id == id))
+            .map(|d| PackageDependency {
+                name: d.name.clone(),
+                url: d.url.clone(),
+                specifier: d.specifier.clone(),
+                integrity: d.integrity.clone(),
+            })
+            .collect(),
+    };
+    let manifest_json = serde_json::to_string_pretty(&manifest)
+        .map_err(|e| format!("Failed to serialize manifest: {}", e))?;
+    
+    let mut files: Vec<(String, Vec<u8>)> = vec![
+        ("manifest.json".to_string(), manifest_json.into_bytes()),
+        ("widget.html".to_string(), widget.html.clone().into_bytes()),
+        ("widget.css".to_string(), widget.css.clone().into_bytes()),
+        ("widget.js".to_string(), widget.js.clone().into_bytes()),
+    ];
+    let assets_dir = get_widget_package_dir(&widget.id)?.join("assets");
+    if assets_dir.exists() {
+        let mut assets = Vec::new();
+        collect_package_files(&assets_dir, "assets", &mut assets)?;
+        for (name, path) in assets {
+            let bytes = fs::read(&path).map_err(|e| format!("Failed to read asset {}: {}", name, e))?;
+            files.push((name, bytes));
+        }
+    }
+    
+    let mut zip = ZipWriter::new(Cursor::new(Vec::new()));
+    let options = SimpleFileOptions::default().compression_method(CompressionMethod::Deflated);
+    for (name, bytes) in files {
+        zip.start_file(name.as_str(), options)
+            .map_err(|e| format!("Failed to write {} to package: {}", name, e))?;
+        zip.write_all(&bytes)
+            .map_err(|e| format!("Failed to write {} to package: {}", name, e))?;
+    }
+    let bytes = zip.finish()
+        .map_err(|e| format!("Failed to create package: {}", e))?
+        .into_inner();
+    
+    let package_file = get_export_dir()?.join(format!("{}.dashlayer", file_slug(&widget.name, "widget")));
+    fs::write(&package_file, bytes)
+        .map_err(|e| format!("Failed to write package: {}", e))?;
+    
+    Ok(package_file.display().to_string())
+}
+
+// Read a .dashlayer zip (base64) and unpack its assets for the new widget.
+// The widget is returned unsaved so the frontend can link its dependencies first.
+#[tauri::command]
+async fn import_widget_package(data: String, widget_id: String) -> Result<ImportedPackage, String> {
+    let bytes = BASE64.decode(data.as_bytes())
+        .map_err(|e| format!("Failed to decode package: {}", e))?;
+    let mut archive = ZipArchive::new(Cursor::new(bytes))
+        .map_err(|e| format!("Invalid widget package: {}", e))?;
+    
+    let manifest_json = read_zip_text(&mut archive, "manifest.json")?
+        .ok_or_else(|| "Invalid widget package: manifest.json is missing".to_string())?;
+    let manifest: PackageManifest = serde_json::from_str(&manifest_json)
+        .map_err(|e| format!("Invalid manifest.json: {}", e))?;
+    if manifest.format > PACKAGE_FORMAT {
+        return Err("This package was made with a newer version of DashLayer".to_string());
+    }
+    
+    let html = read_zip_text(&mut archive, "widget.html")?.unwrap_or_default();
+    let css = read_zip_text(&mut archive, "widget.css")?.unwrap_or_default();
+    let js = read_zip_text(&mut archive, "widget.js")?.unwrap_or_default();
+    
+    // Only files under assets/ are unpacked; enclosed_name() rejects paths escaping the folder
+    let package_dir = get_widget_package_dir(&widget_id)?;
+    for index in 0..archive.len() {
+        let mut file = archive.by_index(index)
+            .map_err(|e| format!("Failed to read package: {}", e))?;
+        let Some(path) = file.enclosed_name() else { continue };
+        if file.is_dir() || !path.starts_with("assets") {
+            continue;
+        }
+        
+        let target = package_dir.join(&path);
+        if let Some(parent) = target.parent() {
+            fs::create_dir_all(parent).map_err(|e| format!("Failed to create asset directory: {}", e))?;
+        }
+        let mut content = Vec::new();
+        file.read_to_end(&mut content)
+            .map_err(|e| format!("Failed to read asset {}: {}", path.display(), e))?;
+        fs::write(&target, content)
+            .map_err(|e| format!("Failed to write asset {}: {}", path.display(), e))?;
+    }
+    
+    let widget = Widget {
+        id: widget_id,
+        name: manifest.name,
+        html,
+        css,
+        js,
+        width: manifest.size.width,
+        height: manifest.size.height,
+        opacity: manifest.opacity.unwrap_or(100),
+        always_on_top: manifest.always_on_top.unwrap_or(true),
+        transparent: manifest.transparent.unwrap_or(true),
+        x: 100,
+        y: 100,
+        auto_start: false,
+        locked: false,
+        settings_schema: manifest.settings_schema,
+        settings: Map::new(),
+        dependencies: Vec::new(),
+        module: manifest.module,
+        version: manifest.version,
+        author: manifest.author,
+        description: manifest.description,
+        monitor: None,
+        anchor: None,
+        percent_x: None,
+        percent_y: None,
+        layer: manifest.layer,
+        click_through: manifest.click_through,
+    };
+    
+    Ok(ImportedPackage { widget, dependencies: manifest.dependencies })
+}
+
+// Remove the assets unpacked for a package import that was cancelled or failed
+// before the widget was saved
+#[tauri::command]
+async fn discard_widget_package(widget_id: String) -> Result<(), String> {
+    if read_widgets()?.iter().any(|w| w.id == widget_id)
+        || read_trash()?.iter().any(|t| t.widget.id == widget_id) {
+        return Err(format!("Widget {} is saved", widget_id));
+    }
+    
+    let package_dir = get_widget_package_dir(&widget_id)?;
+    if package_dir.exists() {
+        fs::remove_dir_all(&package_dir)
+            .map_err(|e| format!("Failed to remove package assets: {}", e))?;
+    }
+    
+    Ok(())
+}
+
+// App settings commands
+#[tauri::command]
+async fn get_app_settings() -> Result<Map<String, Value>, String> {
+    ensure_directories()?;
+    read_app_settings()
+}
+
+#[tauri::command]
+async fn save_app_settings(settings: Map<String, Value>) -> Result<(), String> {
+    ensure_directories()?;
+    write_app_settings(&settings)
+}
+
+// Data backup
+const BACKUP_FORMAT: &str = "dashlayer-backup";
+const BACKUP_VERSION: u32 = 1;
+
+fn unix_millis() -> u64 {
+    std::time::SystemTime::now()
+        .duration_since(std::time::UNIX_EPOCH)
+        .map(|d| d.as_millis() as u64)
+        .unwrap_or(0)
+}
+
+// Everything under the config dir that makes up the user's data
+fn build_backup(include_cache: bool) -> Result<Backup, String> {
+    let widgets = read_widgets()?;
+    
+    let mut storage = HashMap::new();
+    let mut packages = HashMap::new();
+    for widget in &widgets {
+        let values = read_widget_storage(&widget.id)?;
+        if !values.is_empty() {
+            storage.insert(widget.id.clone(), values);
+        }
+        
+        let package_dir = get_widget_package_dir(&widget.id)?;
+        if package_dir.exists() {
+            let mut files = Vec::new();
+            collect_package_files(&package_dir, "", &mut files)?;
+            let mut encoded = HashMap::new();
+            for (name, path) in files {
+                let bytes = fs::read(&path).map_err(|e| format!("Failed to read {}: {}", path.display(), e))?;
+                encoded.insert(name.trim_start_matches('/').to_string(), BASE64.encode(bytes));
+            }
+            packages.insert(widget.id.clone(), encoded);
+        }
+    }
+    
+    let dependencies = read_dependencies()?;
+    let mut cache = HashMap::new();
+    if include_cache {
+        for file_name in dependencies.iter().filter_map(|d| d.file_name.as_ref()) {
+            if let Ok(bytes) = fs::read(get_cache_dir()?.join(file_name)) {
+                cache.insert(file_name.clone(), BASE64.encode(bytes));
+            }
+        }
+    }
+    
+    Ok(Backup {
+        format: BACKUP_FORMAT.to_string(),
+        version: BACKUP_VERSION,
+        app_version: env!("CARGO_PKG_VERSION").to_string(),
+        exported_at: unix_millis(),
+        widgets,
+        profiles: read_profiles()?,
+        dependencies,
+        settings: read_app_settings()?,
+        storage,
+        packages,
+        cache,
+        templates: read_user_templates()?,
+    })
+}
+
+fn write_backup(backup: &Backup, dir: &Path) -> Result<PathBuf, String> {
+    fs::create_dir_all(dir).map_err(|e| format!("Failed to create backup directory: {}", e))?;
+    
+    let backup_file = dir.join(format!("dashlayer-backup-{}.json", backup.exported_at));
+    let content = serde_json::to_string_pretty(backup)
+        .map_err(|e| format!("Failed to serialize backup: {}", e))?;
+    fs::write(&backup_file, content)
+        .map_err(|e| format!("Failed to write backup: {}", e))?;
+    
+    Ok(backup_file)
+}
+
+fn parse_backup(content: &str) -> Result<Backup, String> {
+    let backup: Backup = serde_json::from_str(content)
+        .map_err(|e| format!("Invalid backup file: {}", e))?;
+    if backup.format != BACKUP_FORMAT {
+        return Err("This file is not a DashLayer backup".to_string());
+    }
+    if backup.version > BACKUP_VERSION {
+        return Err("This backup was made with a newer version of DashLayer".to_string());
+    }
+    
+    // Checked before anything is written, so a bad backup changes nothing
+    check_imported_paths(&backup.widgets, &backup.dependencies)?;
+    for profile in &backup.profiles {
+        check_imported_paths(&profile.widgets, &profile.dependencies)?;
+    }
+    for template in &backup.templates {
+        let id = template.get("id").and_then(Value::as_str).unwrap_or("");
+        if !is_template_id(id) {
+            return Err(format!("Invalid template id: {}", id));
+        }
+    }
+    Ok(backup)
+}
+
+// Write a widget's storage and package files from a backup
+fn restore_widget_files(backup: &Backup, widget_id: &str) -> Result<(), String> {
+    if let Some(values) = backup.storage.get(widget_id) {
+        let storage_file = get_widget_storage_file(widget_id)?;
+        if let Some(parent) = storage_file.parent() {
+            fs::create_dir_all(parent).map_err(|e| format!("Failed to create storage directory: {}", e))?;
+        }
+        let content = serde_json::to_string_pretty(values)
+            .map_err(|e| format!("Failed to serialize widget storage: {}", e))?;
+        fs::write(&storage_file, content)
+            .map_err(|e| format!("Failed to write widget storage: {}", e))?;
+    }
+    
+    if let Some(files) = backup.packages.get(widget_id) {
+        let package_dir = get_widget_package_dir(widget_id)?;
+        for (name, data) in files {
+            // Same rule as package import: no absolute paths or ".." segments
+            let relative = Path::new(name);
+            if relative.is_absolute() || relative.components().any(|c| matches!(c, std::path::Component::ParentDir)) {
+                continue;
+            }
+            let target = package_dir.join(relative);
+            if let Some(parent) = target.parent() {
+                fs::create_dir_all(parent).map_err(|e| format!("Failed to create package directory: {}", e))?;
+            }
+            let bytes = BASE64.decode(data.as_bytes())
+                .map_err(|e| format!("Failed to decode {}: {}", name, e))?;
+            fs::write(&target, bytes).map_err(|e| format!("Failed to write {}: {}", name, e))?;
+        }
+    }
+    
+    Ok(())
+}
+
+// Remove all user data except the backups folder
+fn wipe_config() -> Result<(), String> {
+    let config_dir = get_config_dir()?;
+    for file in ["widgets.json", "profiles.json", "dependencies.json", "settings.json", "trash.json"] {
+        let path = config_dir.join(file);
+        if path.exists() {
+            fs::remove_file(&path).map_err(|e| format!("Failed to remove {}: {}", file, e))?;
+        }
+    }
+    for dir in ["widgets", "storage", "cache", "packages", "templates", "revisions"] {
+        let path = config_dir.join(dir);
+        if path.exists() {
+            fs::remove_dir_all(&path).map_err(|e| format!("Failed to remove {}: {}", dir, e))?;
+        }
+    }
+    ensure_directories()
+}
+
+async fn close_all_widget_windows(app: &AppHandle) {
+    let state = app.state::<AppState>();
+    let mut windows = state.widget_windows.lock().await;
+    for (_, window) in windows.drain() {
+        let _ = window.close();
+    }
+}
+
+// Save a backup file to the Downloads folder
+#[tauri::command]
+async fn export_data(include_cache: bool) -> Result<String, String> {
+    ensure_directories()?;
+    
+    let backup_file = write_backup(&build_backup(include_cache)?, &get_export_dir()?)?;
+    
+    Ok(backup_file.display().to_string())
+}
+
+// Validate a backup and report what importing it would do
+#[tauri::command]
+async fn inspect_backup(content: String) -> Result<BackupSummary, String> {
+    let backup = parse_backup(&content)?;
+    let widgets = read_widgets()?;
+    let profiles = read_profiles()?;
+    let dependencies = read_dependencies()?;
+    
+    Ok(BackupSummary {
+        app_version: backup.app_version.clone(),
+        exported_at: backup.exported_at,
+        widgets: backup.widgets.len(),
+        profiles: backup.profiles.len(),
+        dependencies: backup.dependencies.len(),
+        storage: backup.storage.len(),
+        cached_files: backup.cache.len(),
+        settings: backup.settings.len(),
+        templates: backup.templates.len(),
+        widget_conflicts: backup.widgets.iter()
+            .filter(|w| widgets.iter().any(|existing| existing.id == w.id))
+            .map(|w| w.name.clone())
+            .collect(),
+        profile_conflicts: backup.profiles.iter()
+            .filter(|p| profiles.iter().any(|existing| existing.id == p.id))
+            .map(|p| p.name.clone())
+            .collect(),
+        dependency_conflicts: backup.dependencies.iter()
+            .filter(|d| dependencies.iter().any(|existing| existing.id == d.id))
+            .map(|d| d.name.clone())
+            .collect(),
+    })
+}
+
+// Restore a backup. `replace` wipes current data first; otherwise items are merged
+// by id and `overwrite` decides whether the backup wins on conflicts.
+#[tauri::command]
+async fn import_data(content: String, replace: bool, overwrite: bool, app: AppHandle) -> Result<(), String> {
+    let backup = parse_backup(&content)?;
+    ensure_directories()?;
+    
+    if replace {
+        close_all_widget_windows(&app).await;
+        wipe_config()?;
+    }
+    
+    let _lock = lock_widgets_file();
+    let mut widgets = read_widgets()?;
+    for widget in &backup.widgets {
+        match widgets.iter().position(|w| w.id == widget.id) {
+            Some(_) if !overwrite => continue,
+            Some(index) => widgets[index] = widget.clone(),
+            None => widgets.push(widget.clone()),
+        }
+        restore_widget_files(&backup, &widget.id)?;
+    }
+    write_widgets(&widgets)?;
+    
+    let mut profiles = read_profiles()?;
+    for profile in &backup.profiles {
+        match profiles.iter().position(|p| p.id == profile.id) {
+            Some(_) if !overwrite => {}
+            Some(index) => profiles[index] = profile.clone(),
+            None => profiles.push(profile.clone()),
+        }
+    }
+    write_profiles(&profiles)?;
+    
+    let mut dependencies = read_dependencies()?;
+    for dependency in &backup.dependencies {
+        match dependencies.iter().position(|d| d.id == dependency.id) {
+            Some(_) if !overwrite => {}
+            Some(index) => dependencies[index] = dependency.clone(),
+            None => dependencies.push(dependency.clone()),
+        }
+    }
+    write_dependencies(&dependencies)?;
+    
+    // Cached files are only written for entries that point at them
+    let cache_dir = get_cache_dir()?;
+    for (file_name, data) in &backup.cache {
+        let referenced = dependencies.iter().any(|d| d.file_name.as_deref() == Some(file_name.as_str()));
+        if !referenced || file_name.contains('/') || file_name.contains('\\') {
+            continue;
+        }
+        let bytes = BASE64.decode(data.as_bytes())
+            .map_err(|e| format!("Failed to decode {}: {}", file_name, e))?;
+        fs::write(cache_dir.join(file_name), bytes)
+            .map_err(|e| format!("Failed to write cached file: {}", e))?;
     }
     
-    // Create widget HTML content - clean, no controls
-    let widget_html = format!(
-        r#"<!DOCTYPE html>
-<html lang="en" style="margin:0;padding:0;height:100%;overflow:hidden;">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>{title}</title>
-    <style>
-        *, *::before, *::after {{
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }}
-        
-        html, body {{
-            width: 100%;
-            height: 100%;
-            overflow: hidden;
-            background: transparent;
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-        }}
-        
-        #widget-root {{
-            width: 100%;
-            height: 100%;
-            opacity: {opacity};
-        }}
-        
-        {css}
-    </style>
-</head>
-<body>
-    <div id="widget-root">{html}</div>
-    <script>
-        try {{ {js} }} catch(e) {{ console.error('Widget error:', e); }}
-    </script>
-</body>
-</html>"#,
-        title = widget.name,
-        opacity = widget.opacity as f32 / 100.0,
-        css = widget.css,
-        html = widget.html,
-        js = widget.js
-    );
+    let templates = read_user_templates()?;
+    for template in &backup.templates {
+        let id = template.get("id").and_then(Value::as_str);
+        let exists = templates.iter().any(|t| t.get("id").and_then(Value::as_str) == id);
+        if overwrite || !exists {
+            write_user_template(template)?;
+        }
+    }
     
-    // Write HTML file to config directory (not monitored by dev server)
-    let widgets_dir = get_config_dir()?.join("widgets");
+    let mut settings = read_app_settings()?;
+    for (key, value) in &backup.settings {
+        if overwrite || !settings.contains_key(key) {
+            settings.insert(key.clone(), value.clone());
+        }
+    }
+    write_app_settings(&settings)
+}
+
+// Back up everything (cached files included) to backups/, then wipe the config
+#[tauri::command]
+async fn reset_data(app: AppHandle) -> Result<String, String> {
+    ensure_directories()?;
     
-    fs::create_dir_all(&widgets_dir).map_err(|e| format!("Failed to create widgets directory: {}", e))?;
+    let backup_file = write_backup(&build_backup(true)?, &get_config_dir()?.join("backups"))?;
+    close_all_widget_windows(&app).await;
+    wipe_config()?;
     
-    let widget_file = widgets_dir.join(format!("{}.html", widget.id));
-    fs::write(&widget_file, &widget_html)
-        .map_err(|e| format!("Failed to write widget HTML: {}", e))?;
+    Ok(backup_file.display().to_string())
+}
+
+// User templates, saved from widgets as templates/<id>.json next to the built-in ones
+fn get_user_templates_dir() -> Result<PathBuf, String> {
+    Ok(get_config_dir()?.join("templates"))
+}
+
+// Template ids become file names
+fn is_template_id(id: &str) -> bool {
+    !id.is_empty() && id.chars().all(|c| c.is_ascii_alphanumeric() || c == '-')
+}
+
+fn read_user_templates() -> Result<Vec<Map<String, Value>>, String> {
+    let templates_dir = get_user_templates_dir()?;
+    if !templates_dir.exists() {
+        return Ok(vec![]);
+    }
     
-    // Use file:// URL to load from config directory
-    let widget_url = format!("file://{}", widget_file.display());
+    let entries = fs::read_dir(&templates_dir).map_err(|e| format!("Failed to read templates directory: {}", e))?;
+    let mut templates = Vec::new();
+    for path in entries.flatten().map(|entry| entry.path()) {
+        if path.extension().and_then(|ext| ext.to_str()) != Some("json") {
+            continue;
+        }
+        let content = fs::read_to_string(&path)
+            .map_err(|e| format!("Failed to read template {}: {}", path.display(), e))?;
+        // A broken file shouldn't hide the other templates
+        if let Ok(template) = serde_json::from_str::<Map<String, Value>>(&content) {
+            templates.push(template);
+        }
+    }
     
-    // Create new window with correct Tauri v2 API
-    let window = WebviewWindowBuilder::new(
-        &app,
-        &widget.id,
-        tauri::WebviewUrl::External(widget_url.parse().map_err(|e| format!("Invalid URL: {}", e))?)
-    )
-    .title(&widget.name)
-    .inner_size(widget.width as f64, widget.height as f64)
-    .resizable(true)
-    .decorations(false)
-    .transparent(widget.transparent)
-    .always_on_top(widget.always_on_top)
-    .skip_taskbar(true)
-    .position(widget.x as f64, widget.y as f64)
-    .build()
-    .map_err(|e| format!("Failed to create widget window: {}", e))?;
+    let name = |t: &Map<String, Value>| t.get("name").and_then(Value::as_str).unwrap_or("").to_lowercase();
+    templates.sort_by_key(name);
+    Ok(templates)
+}
+
+fn write_user_template(template: &Map<String, Value>) -> Result<(), String> {
+    let id = template.get("id")
+        .and_then(Value::as_str)
+        .filter(|id| is_template_id(id))
+        .ok_or_else(|| "Invalid template id".to_string())?;
+    
+    let templates_dir = get_user_templates_dir()?;
+    fs::create_dir_all(&templates_dir).map_err(|e| format!("Failed to create templates directory: {}", e))?;
+    
+    let content = serde_json::to_string_pretty(template)
+        .map_err(|e| format!("Failed to serialize template: {}", e))?;
+    fs::write(templates_dir.join(format!("{}.json", id)), content)
+        .map_err(|e| format!("Failed to write template: {}", e))
+}
+
+#[tauri::command]
+async fn get_user_templates() -> Result<Vec<Map<String, Value>>, String> {
+    read_user_templates()
+}
+
+// Create or update a user template; new templates get an id
+#[tauri::command]
+async fn save_user_template(mut template: Map<String, Value>) -> Result<Map<String, Value>, String> {
+    ensure_directories()?;
     
-    windows.insert(widget.id.clone(), window);
+    let name = template.get("name").and_then(Value::as_str).unwrap_or("").trim();
+    if name.is_empty() {
+        return Err("Template name is required".to_string());
+    }
+    if template.get("id").and_then(Value::as_str).is_none() {
+        template.insert("id".to_string(), json!(new_id()));
+    }
     
-    Ok(widget.id)
+    write_user_template(&template)?;
+    Ok(template)
 }
 
 #[tauri::command]
-async fn close_widget_window(widget_id: String, app: AppHandle) -> Result<(), String> {
-    let state = app.state::<AppState>();
-    let mut windows = state.widget_windows.lock().await;
+async fn delete_user_template(template_id: String) -> Result<(), String> {
+    if !is_template_id(&template_id) {
+        return Err("Invalid template id".to_string());
+    }
     
-    if let Some(window) = windows.remove(&widget_id) {
-        window.close().map_err(|e| format!("Failed to close widget window: {}", e))?;
+    let template_file = get_user_templates_dir()?.join(format!("{}.json", template_id));
+    if template_file.exists() {
+        fs::remove_file(&template_file).map_err(|e| format!("Failed to delete template: {}", e))?;
     }
     
     Ok(())
@@ -348,6 +2087,164 @@ async fn delete_profile(profile_id: String) -> Result<(), String> {
     Ok(())
 }
 
+// Profile files
+const PROFILE_FORMAT: &str = "dashlayer-profile";
+const PROFILE_VERSION: u32 = 1;
+
+fn new_id() -> String {
+    uuid::Uuid::new_v4().to_string()
+}
+
+// Save a profile as a standalone file in the Downloads folder
+#[tauri::command]
+async fn export_profile(profile_id: String) -> Result<String, String> {
+    let profile = read_profiles()?
+        .into_iter()
+        .find(|p| p.id == profile_id)
+        .ok_or_else(|| format!("Profile {} not found", profile_id))?;
+    
+    let file = ProfileFile {
+        format: PROFILE_FORMAT.to_string(),
+        version: PROFILE_VERSION,
+        exported_at: unix_millis(),
+        profile,
+    };
+    let content = serde_json::to_string_pretty(&file)
+        .map_err(|e| format!("Failed to serialize profile: {}", e))?;
+    
+    let profile_file = get_export_dir()?.join(format!("{}.dashlayer-profile.json", file_slug(&file.profile.name, "profile")));
+    fs::write(&profile_file, content)
+        .map_err(|e| format!("Failed to write profile file: {}", e))?;
+    
+    Ok(profile_file.display().to_string())
+}
+
+// Add a profile from a file. Widget ids come from Date.now(), so ids already used
+// here by a different widget are replaced; dependencies are matched by URL.
+#[tauri::command]
+async fn import_profile(content: String) -> Result<ImportedProfile, String> {
+    ensure_directories()?;
+    
+    let file: ProfileFile = serde_json::from_str(&content)
+        .map_err(|e| format!("Invalid profile file: {}", e))?;
+    if file.format != PROFILE_FORMAT {
+        return Err("This file is not a DashLayer profile".to_string());
+    }
+    if file.version > PROFILE_VERSION {
+        return Err("This profile was made with a newer version of DashLayer".to_string());
+    }
+    check_imported_paths(&file.profile.widgets, &file.profile.dependencies)?;
+    
+    let mut profile = file.profile;
+    let mut profiles = read_profiles()?;
+    let local_widgets: Vec<Widget> = read_widgets()?
+        .into_iter()
+        .chain(profiles.iter().flat_map(|p| p.widgets.clone()))
+        .collect();
+    let local_dependencies: Vec<Dependency> = read_dependencies()?
+        .into_iter()
+        .chain(profiles.iter().flat_map(|p| p.dependencies.clone()))
+        .collect();
+    
+    if profiles.iter().any(|p| p.id == profile.id) {
+        profile.id = new_id();
+    }
+    
+    let mut dependency_ids = HashMap::new();
+    for dependency in &mut profile.dependencies {
+        let local_id = local_dependencies.iter()
+            .find(|d| d.url == dependency.url)
+            .map(|d| d.id.clone());
+        let id = match local_id {
+            Some(id) => id,
+            None if local_dependencies.iter().any(|d| d.id == dependency.id) => new_id(),
+            None => dependency.id.clone(),
+        };
+        dependency_ids.insert(dependency.id.clone(), id.clone());
+        dependency.id = id;
+    }
+    
+    let mut renamed_widgets = Vec::new();
+    let mut seen = HashSet::new();
+    for widget in &mut profile.widgets {
+        // Same id and name is the same widget (e.g. re-importing your own export)
+        let taken = local_widgets.iter().any(|w| w.id == widget.id && w.name != widget.name);
+        if taken || !seen.insert(widget.id.clone()) {
+            widget.id = new_id();
+            seen.insert(widget.id.clone());
+            renamed_widgets.push(widget.name.clone());
+        }
+        widget.dependencies = widget.dependencies.iter()
+            .map(|id| dependency_ids.get(id).cloned().unwrap_or_else(|| id.clone()))
+            .collect();
+    }
+    
+    profiles.push(profile.clone());
+    write_profiles(&profiles)?;
+    
+    Ok(ImportedProfile { profile, renamed_widgets })
+}
+
+// Copy the picked widgets of a profile into the current widget set.
+// Widgets whose id already exists are replaced, or added as a copy when
+// `replace_existing` is false. Dependencies they use are added when missing.
+#[tauri::command]
+async fn merge_profile(profile_id: String, widget_ids: Vec<String>, replace_existing: bool) -> Result<usize, String> {
+    ensure_directories()?;
+    
+    let profile = read_profiles()?
+        .into_iter()
+        .find(|p| p.id == profile_id)
+        .ok_or_else(|| format!("Profile {} not found", profile_id))?;
+    let picked: Vec<&Widget> = profile.widgets.iter()
+        .filter(|w| widget_ids.contains(&w.id))
+        .collect();
+    
+    let _lock = lock_widgets_file();
+    let mut widgets = read_widgets()?;
+    let mut dependencies = read_dependencies()?;
+    let mut dependency_ids = HashMap::new();
+    
+    let needed: HashSet<&String> = picked.iter().flat_map(|w| w.dependencies.iter()).collect();
+    for dependency in profile.dependencies.iter().filter(|d| needed.contains(&d.id)) {
+        let id = match dependencies.iter().find(|d| d.url == dependency.url) {
+            Some(existing) => existing.id.clone(),
+            None => {
+                let mut added = dependency.clone();
+                if dependencies.iter().any(|d| d.id == added.id) {
+                    added.id = new_id();
+                }
+                let id = added.id.clone();
+                dependencies.push(added);
+                id
+            }
+        };
+        dependency_ids.insert(dependency.id.clone(), id);
+    }
+    
+    for widget in &picked {
+        let mut widget = (*widget).clone();
+        widget.dependencies = widget.dependencies.iter()
+            .map(|id| dependency_ids.get(id).cloned().unwrap_or_else(|| id.clone()))
+            .collect();
+        
+        match widgets.iter().position(|w| w.id == widget.id) {
+            Some(index) if replace_existing => widgets[index] = widget,
+            Some(_) => {
+                widget.id = new_id();
+                widget.name = format!("{} (copy)", widget.name);
+                widgets.push(widget);
+            }
+            None => widgets.push(widget),
+        }
+    }
+    
+    write_widgets(&widgets)?;
+    write_dependencies(&dependencies)?;
+    
+    Ok(picked.len())
+}
+
 #[tauri::command]
 async fn load_profile(profile: Profile) -> Result<(), String> {
     // Save current widgets and dependencies as current profile
@@ -358,6 +2255,7 @@ async fn load_profile(profile: Profile) -> Result<(), String> {
     let dependencies_file = config_dir.join("dependencies.json");
     
     // Save widgets
+    let _lock = lock_widgets_file();
     let widgets_content = serde_json::to_string_pretty(&profile.widgets)
         .map_err(|e| format!("Failed to serialize widgets: {}", e))?;
     fs::write(&widgets_file, widgets_content)
@@ -372,6 +2270,78 @@ async fn load_profile(profile: Profile) -> Result<(), String> {
     Ok(())
 }
 
+// A widget together with the dependencies it loads, to tell whether its window needs rebuilding
+fn widget_setup(widget: &Widget, dependencies: &[Dependency]) -> Value {
+    let used: Vec<&Dependency> = widget.dependencies.iter()
+        .filter_map(|id| dependencies.iter().find(|d| &d.id == id))
+        .collect();
+    json!([widget, used])
+}
+
+// Load a profile and make the desktop match it: windows not active in the profile
+// are closed, active ones are created at their saved position and size. Windows that
+// are already open keep running unless the profile's version of the widget differs.
+// Profiles saved before active widgets were recorded open their auto-start widgets.
+#[tauri::command]
+async fn switch_profile(profile_id: String, app: AppHandle) -> Result<SwitchedProfile, String> {
+    let profile = read_profiles()?
+        .into_iter()
+        .find(|p| p.id == profile_id)
+        .ok_or_else(|| format!("Profile {} not found", profile_id))?;
+    
+    let previous_widgets = read_widgets()?;
+    let previous_dependencies = read_dependencies()?;
+    load_profile(profile.clone()).await?;
+    
+    let active: Vec<&Widget> = profile.widgets.iter()
+        .filter(|w| if profile.active_widgets.is_empty() { w.auto_start } else { profile.active_widgets.contains(&w.id) })
+        .collect();
+    
+    let kept: HashSet<String> = {
+        let state = app.state::<AppState>();
+        let mut windows = state.widget_windows.lock().await;
+        windows.retain(|id, window| {
+            if active.iter().any(|w| &w.id == id) {
+                return true;
+            }
+            let _ = window.close();
+            false
+        });
+        windows.keys().cloned().collect()
+    };
+    
+    let mut failed_widgets = Vec::new();
+    for widget in active {
+        let unchanged = previous_widgets.iter()
+            .find(|w| w.id == widget.id)
+            .map_or(false, |previous| {
+                widget_setup(previous, &previous_dependencies) == widget_setup(widget, &profile.dependencies)
+            });
+        if kept.contains(&widget.id) && unchanged {
+            continue;
+        }
+        if let Err(e) = create_widget_window(widget.clone(), app.clone()).await {
+            failed_widgets.push(format!("{}: {}", widget.name, e));
+        }
+    }
+    
+    Ok(SwitchedProfile {
+        open_widgets: get_open_widgets(app).await?,
+        failed_widgets,
+    })
+}
+
+// Ids of widget windows that are actually open (windows closed outside the
+// manager are dropped from the list)
+#[tauri::command]
+async fn get_open_widgets(app: AppHandle) -> Result<Vec<String>, String> {
+    let state = app.state::<AppState>();
+    let mut windows = state.widget_windows.lock().await;
+    windows.retain(|id, _| app.get_webview_window(id).is_some());
+    
+    Ok(windows.keys().cloned().collect())
+}
+
 // Dependency commands
 #[tauri::command]
 async fn get_dependencies() -> Result<Vec<Dependency>, String> {
@@ -425,26 +2395,116 @@ async fn add_dependency(dependency: Dependency) -> Result<(), String> {
 async fn remove_dependency(dependency_id: String) -> Result<(), String> {
     ensure_directories()?;
     
-    let config_dir = get_config_dir()?;
-    let dependencies_file = config_dir.join("dependencies.json");
+    let mut dependencies = read_dependencies()?;
     
-    let mut dependencies = if dependencies_file.exists() {
-        let content = fs::read_to_string(&dependencies_file)
-            .map_err(|e| format!("Failed to read dependencies file: {}", e))?;
-        serde_json::from_str::<Vec<Dependency>>(&content)
-            .map_err(|e| format!("Failed to parse dependencies: {}", e))?
-    } else {
-        vec![]
-    };
+    // Remove the cached file along with the entry
+    if let Some(file_name) = dependencies.iter()
+        .find(|d| d.id == dependency_id)
+        .and_then(|d| d.file_name.clone())
+    {
+        let cached_file = get_cache_dir()?.join(file_name);
+        if cached_file.exists() {
+            let _ = fs::remove_file(&cached_file);
+        }
+    }
     
     dependencies.retain(|d| d.id != dependency_id);
+    write_dependencies(&dependencies)
+}
+
+// Download a dependency into the cache directory so widgets work offline
+#[tauri::command]
+async fn cache_dependency(dependency_id: String) -> Result<Dependency, String> {
+    ensure_directories()?;
     
-    let content = serde_json::to_string_pretty(&dependencies)
-        .map_err(|e| format!("Failed to serialize dependencies: {}", e))?;
-    fs::write(&dependencies_file, content)
-        .map_err(|e| format!("Failed to write dependencies file: {}", e))?;
+    let mut dependencies = read_dependencies()?;
+    let index = dependencies.iter()
+        .position(|d| d.id == dependency_id)
+        .ok_or_else(|| format!("Dependency {} not found", dependency_id))?;
     
-    Ok(())
+    let url = dependencies[index].url.clone();
+    let (final_url, bytes) = download_file(&url).await?;
+    
+    store_dependency_file(&mut dependencies[index], &final_url, &bytes)?;
+    write_dependencies(&dependencies)?;
+    
+    Ok(dependencies[index].clone())
+}
+
+// Integrity status of every dependency, keyed by id
+#[tauri::command]
+async fn verify_dependencies() -> Result<HashMap<String, String>, String> {
+    ensure_directories()?;
+    
+    let mut statuses = HashMap::new();
+    for dependency in read_dependencies()? {
+        let status = verify_cached_dependency(&dependency)?;
+        statuses.insert(dependency.id, status.to_string());
+    }
+    
+    Ok(statuses)
+}
+
+// Look for a newer version without touching the cache.
+// Unversioned URLs are re-downloaded and compared by hash.
+#[tauri::command]
+async fn check_dependency_update(dependency_id: String) -> Result<DependencyUpdate, String> {
+    let dependency = read_dependencies()?
+        .into_iter()
+        .find(|d| d.id == dependency_id)
+        .ok_or_else(|| format!("Dependency {} not found", dependency_id))?;
+    
+    let mut url = dependency.url.clone();
+    let mut latest_version = None;
+    
+    if let Some((package, current)) = parse_dependency_version(&dependency.url) {
+        if let Some(latest) = fetch_latest_version(&dependency.url, &package).await? {
+            url = if dependency.url.contains(&format!("@{}", current)) {
+                dependency.url.replacen(&format!("@{}", current), &format!("@{}", latest), 1)
+            } else {
+                dependency.url.replacen(&format!("/{}/", current), &format!("/{}/", latest), 1)
+            };
+            latest_version = Some(latest);
+        }
+    }
+    
+    let (final_url, bytes) = download_file(&url).await?;
+    let integrity = compute_integrity(&bytes);
+    
+    Ok(DependencyUpdate {
+        current_version: dependency.version.clone(),
+        latest_version: latest_version
+            .or_else(|| parse_dependency_version(&final_url).map(|(_, version)| version)),
+        changed: dependency.integrity.as_deref() != Some(integrity.as_str()),
+        url,
+        integrity,
+        size: bytes.len() as u64,
+    })
+}
+
+// Re-pin a dependency to a (possibly new) URL. When an expected hash is
+// given, the download must match what the user reviewed.
+#[tauri::command]
+async fn pin_dependency(dependency_id: String, url: String, integrity: Option<String>) -> Result<Dependency, String> {
+    ensure_directories()?;
+    
+    let mut dependencies = read_dependencies()?;
+    let index = dependencies.iter()
+        .position(|d| d.id == dependency_id)
+        .ok_or_else(|| format!("Dependency {} not found", dependency_id))?;
+    
+    let (final_url, bytes) = download_file(&url).await?;
+    if let Some(expected) = integrity {
+        if compute_integrity(&bytes) != expected {
+            return Err("Downloaded file does not match the reviewed version. Check for updates again.".to_string());
+        }
+    }
+    
+    dependencies[index].url = url;
+    store_dependency_file(&mut dependencies[index], &final_url, &bytes)?;
+    write_dependencies(&dependencies)?;
+    
+    Ok(dependencies[index].clone())
 }
 
 // Autostart command - creates/removes .desktop file in autostart directory
@@ -500,16 +2560,64 @@ async fn get_autostart() -> Result<bool, String> {
     Ok(desktop_file.exists())
 }
 
+// Widget storage commands
+#[tauri::command]
+async fn get_widget_storage(widget_id: String) -> Result<Map<String, Value>, String> {
+    ensure_directories()?;
+    read_widget_storage(&widget_id)
+}
+
+#[tauri::command]
+async fn set_widget_storage(widget_id: String, key: String, value: Option<Value>) -> Result<(), String> {
+    ensure_directories()?;
+    
+    let storage_file = get_widget_storage_file(&widget_id)?;
+    if let Some(parent) = storage_file.parent() {
+        fs::create_dir_all(parent)
+            .map_err(|e| format!("Failed to create storage directory: {}", e))?;
+    }
+    
+    let mut storage = read_widget_storage(&widget_id)?;
+    
+    // A null value removes the key
+    match value {
+        Some(value) if !value.is_null() => {
+            storage.insert(key, value);
+        }
+        _ => {
+            storage.remove(&key);
+        }
+    }
+    
+    let content = serde_json::to_string_pretty(&storage)
+        .map_err(|e| format!("Failed to serialize widget storage: {}", e))?;
+    fs::write(&storage_file, content)
+        .map_err(|e| format!("Failed to write widget storage: {}", e))?;
+    
+    Ok(())
+}
+
 // Get screen info for visual positioning
 #[tauri::command]
-async fn get_screen_size() -> Result<(u32, u32), String> {
-    // Return a default screen size - in real app would query the system
-    Ok((1920, 1080))
+async fn get_screen_size(app: AppHandle) -> Result<(u32, u32), String> {
+    let monitor = app.primary_monitor()
+        .map_err(|e| format!("Failed to get primary monitor: {}", e))?
+        .ok_or_else(|| "No monitor found".to_string())?;
+    let size = monitor.size().to_logical::<u32>(monitor.scale_factor());
+    Ok((size.width, size.height))
 }
 
 // Launch all autostart widgets
 #[tauri::command]
 async fn launch_autostart_widgets(app: AppHandle) -> Result<(), String> {
+    let open_on_startup = read_app_settings()?
+        .get("openWidgetsOnStartup")
+        .and_then(Value::as_bool)
+        .unwrap_or(true);
+    if !open_on_startup {
+        return Ok(());
+    }
+    
     let widgets = get_widgets().await?;
     
     for widget in widgets.iter().filter(|w| w.auto_start) {
@@ -519,10 +2627,127 @@ async fn launch_autostart_widgets(app: AppHandle) -> Result<(), String> {
     Ok(())
 }
 
+// Monitors are identified by name, or by position in the list when the platform
+// doesn't report one
+fn monitor_id(monitor: &tauri::Monitor, index: usize) -> String {
+    monitor.name().cloned().unwrap_or_else(|| format!("monitor-{}", index + 1))
+}
+
+// Horizontal and vertical factors of an anchor: 0 = left/top, 0.5 = center, 1 = right/bottom
+fn anchor_factors(anchor: &str) -> (f64, f64) {
+    let horizontal = if anchor.contains("left") { 0.0 } else if anchor.contains("right") { 1.0 } else { 0.5 };
+    let vertical = if anchor.starts_with("top") { 0.0 } else if anchor.starts_with("bottom") { 1.0 } else { 0.5 };
+    (horizontal, vertical)
+}
+
+// Inverse of `axis_offset`: the margin that puts the widget `offset` pixels from the edge
+fn axis_margin(free: f64, factor: f64, offset: f64) -> f64 {
+    if factor >= 1.0 {
+        free - offset
+    } else {
+        offset - free * factor
+    }
+}
+
+// Offset from the monitor's edge along one axis, in physical pixels. `free` is the space
+// the widget leaves on the monitor; margins push inwards from the anchored edge.
+fn axis_offset(free: f64, factor: f64, margin: f64) -> f64 {
+    if factor >= 1.0 {
+        free - margin
+    } else {
+        free * factor + margin
+    }
+}
+
+// Window position for a widget placed on a monitor, in physical pixels. A monitor that
+// is no longer connected falls back to the primary one, and the widget is kept inside
+// the monitor's bounds so it never ends up off-screen.
+fn resolve_widget_position(app: &AppHandle, widget: &Widget) -> Option<tauri::PhysicalPosition<i32>> {
+    let relative = widget.anchor.is_some() || widget.percent_x.is_some() || widget.percent_y.is_some();
+    if widget.monitor.is_none() && !relative {
+        return None;
+    }
+    
+    let monitors = app.available_monitors().ok()?;
+    let monitor = monitors.iter().enumerate()
+        .find(|(index, monitor)| widget.monitor.as_ref() == Some(&monitor_id(monitor, *index)))
+        .map(|(_, monitor)| monitor.clone())
+        .or_else(|| app.primary_monitor().ok().flatten())
+        .or_else(|| monitors.first().cloned())?;
+    
+    let scale = monitor.scale_factor();
+    let origin = monitor.position();
+    let size = monitor.size();
+    let free_x = (size.width as f64 - widget.width as f64 * scale).max(0.0);
+    let free_y = (size.height as f64 - widget.height as f64 * scale).max(0.0);
+    let margin_x = widget.x as f64 * scale;
+    let margin_y = widget.y as f64 * scale;
+    
+    let (x, y) = if let Some(anchor) = &widget.anchor {
+        let (horizontal, vertical) = anchor_factors(anchor);
+        (axis_offset(free_x, horizontal, margin_x), axis_offset(free_y, vertical, margin_y))
+    } else if relative {
+        (
+            free_x * widget.percent_x.unwrap_or(0.0) / 100.0,
+            free_y * widget.percent_y.unwrap_or(0.0) / 100.0,
+        )
+    } else {
+        (margin_x, margin_y)
+    };
+    
+    Some(tauri::PhysicalPosition::new(
+        origin.x + x.clamp(0.0, free_x) as i32,
+        origin.y + y.clamp(0.0, free_y) as i32,
+    ))
+}
+
+// Move and resize open widget windows to their saved layout, e.g. after the manager
+// noticed a resolution or monitor layout change, or the layout editor saved
+#[tauri::command]
+async fn reposition_widgets(app: AppHandle) -> Result<(), String> {
+    let widgets = get_widgets().await?;
+    let state = app.state::<AppState>();
+    let windows = state.widget_windows.lock().await;
+    
+    for widget in &widgets {
+        let Some(window) = windows.get(&widget.id) else { continue };
+        let _ = window.set_size(tauri::LogicalSize::new(widget.width as f64, widget.height as f64));
+        if let Some(position) = resolve_widget_position(&app, widget) {
+            let _ = window.set_position(position);
+        }
+    }
+    
+    Ok(())
+}
+
+// Connected monitors in physical pixels
+#[tauri::command]
+async fn get_monitors(app: AppHandle) -> Result<Vec<MonitorInfo>, String> {
+    let primary = app.primary_monitor()
+        .map_err(|e| format!("Failed to get primary monitor: {}", e))?;
+    let monitors = app.available_monitors()
+        .map_err(|e| format!("Failed to get monitors: {}", e))?;
+    
+    Ok(monitors.iter().enumerate().map(|(index, monitor)| {
+        let position = monitor.position();
+        let size = monitor.size();
+        MonitorInfo {
+            id: monitor_id(monitor, index),
+            name: monitor.name().cloned(),
+            x: position.x,
+            y: position.y,
+            width: size.width,
+            height: size.height,
+            scale_factor: monitor.scale_factor(),
+            primary: primary.as_ref().map_or(false, |p| p.position() == position && p.size() == size),
+        }
+    }).collect())
+}
+
 // System monitoring commands
 #[tauri::command]
-async fn get_system_info(system: tauri::State<'_, Arc<Mutex<System>>>) -> Result<SystemInfo, String> {
-    let mut sys = system.lock().await;
+async fn get_system_info(state: tauri::State<'_, AppState>) -> Result<SystemInfo, String> {
+    let mut sys = state.system.lock().await;
     
     // Double refresh for accurate usage calculation
     sys.refresh_all();
@@ -587,17 +2812,36 @@ pub fn run() {
         .manage(AppState {
             widget_windows: Mutex::new(HashMap::new()),
             system: Arc::new(Mutex::new(System::new())),
+            arranging: AtomicBool::new(false),
+            dragged_widgets: Mutex::new(HashSet::new()),
         })
         .invoke_handler(tauri::generate_handler![
             get_widgets,
             save_widget,
             delete_widget,
             create_widget_window,
+            try_widget,
+            render_widget_preview,
+            export_widget_package,
+            import_widget_package,
+            discard_widget_package,
             close_widget_window,
+            close_trial_widget,
             get_profiles,
             save_profile,
             delete_profile,
             load_profile,
+            switch_profile,
+            get_open_widgets,
+            export_profile,
+            import_profile,
+            merge_profile,
+            get_app_settings,
+            save_app_settings,
+            export_data,
+            inspect_backup,
+            import_data,
+            reset_data,
             get_dependencies,
             add_dependency,
             remove_dependency,
@@ -605,7 +2849,27 @@ pub fn run() {
             set_autostart,
             get_screen_size,
             launch_autostart_widgets,
-            get_system_info
+            get_system_info,
+            get_monitors,
+            reposition_widgets,
+            set_widget_locked,
+            set_arrange_mode,
+            set_widget_interactive,
+            begin_widget_drag,
+            get_user_templates,
+            save_user_template,
+            delete_user_template,
+            get_widget_revisions,
+            get_trash,
+            restore_widget,
+            purge_widget,
+            empty_trash,
+            get_widget_storage,
+            set_widget_storage,
+            cache_dependency,
+            verify_dependencies,
+            check_dependency_update,
+            pin_dependency
         ])
         .run(tauri::generate_context!())
         .expect("error while running tauri application");
@@ -0,0 +1,585 @@
+// DashLayer Widget Runtime
+// Injected into every widget page before the widget's own code runs.
+// Exposes `window.dashlayer` so widgets don't need to talk to Tauri directly.
+
+(function () {
+    'use strict';
+
+    const context = window.__DASHLAYER_CONTEXT__ || {};
+    const tauri = window.__TAURI__;
+
+    // The editor preview runs in a sandboxed iframe without backend access;
+    // it asks the manager page instead.
+    const preview = Boolean(context.preview);
+    const invoke = preview ? previewInvoke : tauri?.core?.invoke;
+    const events = preview ? null : tauri?.event;
+
+    // Native timer/listener functions, kept before widget code can be tracked
+    const native = {
+        setTimeout: window.setTimeout.bind(window),
+        clearTimeout: window.clearTimeout.bind(window),
+        setInterval: window.setInterval.bind(window),
+        clearInterval: window.clearInterval.bind(window),
+        requestAnimationFrame: window.requestAnimationFrame.bind(window),
+        cancelAnimationFrame: window.cancelAnimationFrame.bind(window),
+        addEventListener: EventTarget.prototype.addEventListener,
+        removeEventListener: EventTarget.prototype.removeEventListener
+    };
+
+    const WIDGET_SOURCE_URL = 'dashlayer-widget.js';
+
+    const widgetInfo = context.widget || {};
+    let storageData = { ...(context.storage || {}) };
+    let settingsData = { ...(context.settings || {}) };
+
+    // Lifecycle handler registries
+    const handlers = {
+        show: new Set(),
+        hide: new Set(),
+        settingsChanged: new Set()
+    };
+
+    function addHandler(type, callback) {
+        if (typeof callback !== 'function') {
+            throw new TypeError(`dashlayer: ${type} handler must be a function`);
+        }
+        handlers[type].add(callback);
+        return () => handlers[type].delete(callback);
+    }
+
+    function runHandlers(type, ...args) {
+        handlers[type].forEach(callback => {
+            try {
+                callback(...args);
+            } catch (e) {
+                console.error(`Widget ${type} handler error:`, e);
+            }
+        });
+    }
+
+    function isVisible() {
+        return document.visibilityState !== 'hidden';
+    }
+
+    // Storage - kept in memory and persisted per widget by the backend
+    const storage = {
+        get(key, fallback = null) {
+            return Object.prototype.hasOwnProperty.call(storageData, key) ? storageData[key] : fallback;
+        },
+
+        async set(key, value) {
+            storageData[key] = value;
+            await persistStorage(key, value);
+        },
+
+        async remove(key) {
+            delete storageData[key];
+            await persistStorage(key, null);
+        },
+
+        keys() {
+            return Object.keys(storageData);
+        },
+
+        async clear() {
+            const keys = Object.keys(storageData);
+            storageData = {};
+            for (const key of keys) {
+                await persistStorage(key, null);
+            }
+        }
+    };
+
+    async function persistStorage(key, value) {
+        if (!invoke || preview) return; // Preview storage only lives in memory
+        try {
+            await invoke('set_widget_storage', { widgetId: widgetInfo.id, key, value });
+        } catch (e) {
+            console.error('Failed to save widget storage:', e);
+        }
+    }
+
+    // Settings - read-only view of the values configured in the manager
+    const settings = {
+        get(key, fallback = null) {
+            return Object.prototype.hasOwnProperty.call(settingsData, key) ? settingsData[key] : fallback;
+        },
+
+        all() {
+            return { ...settingsData };
+        }
+    };
+
+    // System info - one shared poller for every subscriber
+    const systemSubscribers = new Set();
+    let systemTimer = null;
+
+    async function fetchSystemInfo() {
+        if (!invoke) throw new Error('System information is not available outside DashLayer');
+        return invoke('get_system_info');
+    }
+
+    async function pollSystem() {
+        try {
+            const info = await fetchSystemInfo();
+            systemSubscribers.forEach(sub => {
+                try {
+                    sub.callback(info);
+                } catch (e) {
+                    console.error('Widget system subscriber error:', e);
+                }
+            });
+        } catch (error) {
+            systemSubscribers.forEach(sub => sub.onError && sub.onError(error));
+        }
+    }
+
+    function restartSystemPoller() {
+        native.clearInterval(systemTimer);
+        systemTimer = null;
+
+        if (systemSubscribers.size === 0 || !isVisible()) return;
+
+        const interval = Math.min(...[...systemSubscribers].map(sub => sub.interval));
+        pollSystem();
+        systemTimer = native.setInterval(pollSystem, interval);
+    }
+
+    const system = {
+        get: fetchSystemInfo,
+
+        subscribe(callback, options = {}) {
+            if (typeof callback !== 'function') {
+                throw new TypeError('dashlayer: system.subscribe needs a callback');
+            }
+            const subscriber = {
+                callback,
+                onError: options.onError,
+                interval: Math.max(500, options.interval || 2000)
+            };
+            systemSubscribers.add(subscriber);
+            restartSystemPoller();
+
+            return () => {
+                systemSubscribers.delete(subscriber);
+                restartSystemPoller();
+            };
+        },
+
+        refresh() {
+            return pollSystem();
+        }
+    };
+
+    // Managed timers - paused while the widget is hidden
+    const timers = new Set();
+
+    function startTimer(timer) {
+        if (timer.id || !isVisible()) return;
+        if (timer.immediate) timer.tick();
+        timer.id = native.setInterval(timer.tick, timer.interval);
+    }
+
+    function stopTimer(timer) {
+        native.clearInterval(timer.id);
+        timer.id = null;
+    }
+
+    function every(interval, callback, options = {}) {
+        const timer = {
+            id: null,
+            interval,
+            immediate: options.immediate !== false,
+            tick() {
+                try {
+                    callback();
+                } catch (e) {
+                    console.error('Widget timer error:', e);
+                }
+            }
+        };
+        timers.add(timer);
+        startTimer(timer);
+
+        return () => {
+            stopTimer(timer);
+            timers.delete(timer);
+        };
+    }
+
+    // Visibility -> onShow / onHide
+    document.addEventListener('visibilitychange', () => {
+        if (isVisible()) {
+            timers.forEach(startTimer);
+            restartSystemPoller();
+            runHandlers('show');
+        } else {
+            timers.forEach(stopTimer);
+            restartSystemPoller();
+            runHandlers('hide');
+        }
+    });
+
+    window.addEventListener('load', () => {
+        if (isVisible()) runHandlers('show');
+    });
+
+    // Logs - console output and errors are forwarded to the manager's log panel,
+    // so a blank widget isn't a mystery. Lines point into the editor's JS.
+    const LOG_LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+    const nativeConsole = {};
+
+    function sendLog(level, message, details = {}) {
+        const entry = {
+            widgetId: widgetInfo.id,
+            widgetName: widgetInfo.name,
+            level,
+            message: String(message),
+            timestamp: Date.now(),
+            ...details
+        };
+        if (preview) {
+            postToManager({ type: 'log', entry });
+        } else if (events?.emit) {
+            events.emit('dashlayer://widget-log', entry).catch(() => {});
+        }
+    }
+
+    // Line/column of the first widget code frame in a stack trace
+    function findWidgetLocation(stack) {
+        const match = String(stack || '').match(/dashlayer-widget\.js:(\d+):(\d+)/);
+        return match ? { line: Number(match[1]), column: Number(match[2]) } : {};
+    }
+
+    function formatLogArg(arg) {
+        if (typeof arg === 'string') return arg;
+        if (arg instanceof Error) return `${arg.name}: ${arg.message}`;
+        try {
+            return typeof arg === 'object' && arg !== null ? JSON.stringify(arg) : String(arg);
+        } catch (e) {
+            return String(arg);
+        }
+    }
+
+    LOG_LEVELS.forEach(level => {
+        nativeConsole[level] = console[level].bind(console);
+        console[level] = (...args) => {
+            nativeConsole[level](...args);
+            const error = args.find(arg => arg instanceof Error);
+            sendLog(level, args.map(formatLogArg).join(' '), {
+                source: 'console',
+                ...findWidgetLocation(error?.stack || new Error().stack)
+            });
+        };
+    });
+
+    function reportError(error, details = {}) {
+        const message = error instanceof Error ? `${error.name}: ${error.message}` : error;
+        nativeConsole.error('Widget error:', error);
+        sendLog('error', message, details);
+    }
+
+    // Capture phase also catches failed <script>/<link> and module import loads
+    window.addEventListener('error', (event) => {
+        const target = event.target;
+        if (target && target !== window && (target.tagName === 'SCRIPT' || target.tagName === 'LINK')) {
+            const url = target.src || target.href;
+            reportError(url ? `Failed to load ${url}` : 'Failed to load module imports', { source: 'load' });
+            return;
+        }
+        const inWidget = String(event.filename || '').endsWith(WIDGET_SOURCE_URL);
+        reportError(event.error || event.message, {
+            source: 'error',
+            ...(inWidget
+                ? { line: event.lineno, column: event.colno }
+                : { file: event.filename, ...findWidgetLocation(event.error?.stack) })
+        });
+    }, true);
+
+    window.addEventListener('unhandledrejection', (event) => {
+        const reason = event.reason;
+        reportError(reason instanceof Error ? reason : String(reason), {
+            source: 'promise',
+            ...findWidgetLocation(reason?.stack)
+        });
+    });
+
+    // Preview bridge - requests answered by the manager page hosting the iframe
+    const PREVIEW_SOURCE = 'dashlayer-preview';
+    const pendingRequests = new Map();
+    let nextRequestId = 1;
+
+    function postToManager(message) {
+        window.parent.postMessage({ source: PREVIEW_SOURCE, ...message }, '*');
+    }
+
+    function previewInvoke(command, args) {
+        return new Promise((resolve, reject) => {
+            const id = nextRequestId++;
+            pendingRequests.set(id, { resolve, reject });
+            postToManager({ type: 'invoke', id, command, args });
+        });
+    }
+
+    if (preview) {
+        window.addEventListener('message', (event) => {
+            const message = event.data || {};
+            if (event.source !== window.parent || message.source !== PREVIEW_SOURCE) return;
+
+            const request = pendingRequests.get(message.id);
+            if (!request) return;
+            pendingRequests.delete(message.id);
+            if ('error' in message) {
+                request.reject(new Error(message.error));
+            } else {
+                request.resolve(message.result);
+            }
+        });
+    }
+
+    // Settings pushed live from the manager
+    if (events?.listen) {
+        events.listen('dashlayer://settings-changed', (event) => {
+            const payload = event.payload || {};
+            if (payload.widgetId && payload.widgetId !== widgetInfo.id) return;
+
+            const previous = settingsData;
+            settingsData = { ...(payload.settings || {}) };
+            runHandlers('settingsChanged', settings.all(), previous);
+        }).catch(e => console.error('Failed to listen for settings changes:', e));
+    }
+
+    // Widget code execution.
+    // Classic code runs through a global indirect eval: functions stay global for
+    // inline onclick handlers, while top-level let/const get a fresh scope each run,
+    // so the same code can be run again on hot reload.
+    let widgetCode = '';
+    let widgetModule = false;
+    let headNodes = null;
+
+    function runWidgetCode(code, module) {
+        widgetCode = code;
+        widgetModule = module;
+        if (!headNodes) headNodes = new Set(document.head.children);
+
+        if (module) {
+            const script = document.createElement('script');
+            script.type = 'module';
+            script.dataset.dashlayerWidget = '';
+            script.textContent = `${code}\n//# sourceURL=${WIDGET_SOURCE_URL}`;
+            document.body.appendChild(script);
+            return;
+        }
+
+        try {
+            (0, eval)(`${code}\n//# sourceURL=${WIDGET_SOURCE_URL}`);
+        } catch (e) {
+            // WebKit puts syntax error positions on the error itself
+            const location = e.line ? { line: e.line, column: e.column } : findWidgetLocation(e.stack);
+            reportError(e, { source: 'error', ...location });
+        }
+    }
+
+    // Resources created by widget code, released before it runs again
+    const tracked = {
+        timeouts: new Set(),
+        intervals: new Set(),
+        frames: new Set(),
+        listeners: []
+    };
+
+    function isTrackedTarget(target) {
+        return target === window || target === document || target === document.body;
+    }
+
+    window.setTimeout = function (callback, delay, ...args) {
+        const id = native.setTimeout(callback, delay, ...args);
+        tracked.timeouts.add(id);
+        return id;
+    };
+    window.clearTimeout = function (id) {
+        tracked.timeouts.delete(id);
+        native.clearTimeout(id);
+    };
+    window.setInterval = function (callback, delay, ...args) {
+        const id = native.setInterval(callback, delay, ...args);
+        tracked.intervals.add(id);
+        return id;
+    };
+    window.clearInterval = function (id) {
+        tracked.intervals.delete(id);
+        native.clearInterval(id);
+    };
+    window.requestAnimationFrame = function (callback) {
+        const id = native.requestAnimationFrame((time) => {
+            tracked.frames.delete(id);
+            callback(time);
+        });
+        tracked.frames.add(id);
+        return id;
+    };
+    window.cancelAnimationFrame = function (id) {
+        tracked.frames.delete(id);
+        native.cancelAnimationFrame(id);
+    };
+    EventTarget.prototype.addEventListener = function (type, listener, options) {
+        if (isTrackedTarget(this)) tracked.listeners.push([this, type, listener, options]);
+        return native.addEventListener.call(this, type, listener, options);
+    };
+
+    function teardown() {
+        tracked.timeouts.forEach(id => native.clearTimeout(id));
+        tracked.intervals.forEach(id => native.clearInterval(id));
+        tracked.frames.forEach(id => native.cancelAnimationFrame(id));
+        tracked.listeners.forEach(([target, type, listener, options]) =>
+            native.removeEventListener.call(target, type, listener, options));
+        tracked.timeouts.clear();
+        tracked.intervals.clear();
+        tracked.frames.clear();
+        tracked.listeners = [];
+
+        timers.forEach(stopTimer);
+        timers.clear();
+        systemSubscribers.clear();
+        restartSystemPoller();
+        Object.values(handlers).forEach(set => set.clear());
+
+        // Nodes the widget added to <head> (e.g. injected <style> tags) and old module scripts
+        if (headNodes) {
+            [...document.head.children].forEach(node => {
+                if (!headNodes.has(node)) node.remove();
+            });
+        }
+        document.querySelectorAll('script[data-dashlayer-widget]').forEach(script => script.remove());
+    }
+
+    // Hot reload from the editor: CSS is swapped in place, HTML/JS changes
+    // re-mount the markup and re-run the code after tearing down the old run
+    if (events?.listen) {
+        events.listen('dashlayer://hot-reload', (event) => {
+            const payload = event.payload || {};
+            if (payload.widgetId !== widgetInfo.id) return;
+
+            if (typeof payload.css === 'string') {
+                document.getElementById('dashlayer-widget-css').textContent = payload.css;
+            }
+
+            if (typeof payload.html === 'string' || typeof payload.js === 'string') {
+                teardown();
+                if (typeof payload.html === 'string') {
+                    document.getElementById('widget-root').innerHTML = payload.html;
+                }
+                runWidgetCode(typeof payload.js === 'string' ? payload.js : widgetCode, widgetModule);
+                if (isVisible()) runHandlers('show');
+            }
+        }).catch(e => console.error('Failed to listen for hot reload:', e));
+    }
+
+    // Window controls: unlocked widgets show a drag bar and a resize grip on hover.
+    // The backend saves the new position and size once the window stops moving.
+    const currentWindow = preview ? null : tauri?.window?.getCurrentWindow?.();
+    let locked = Boolean(context.locked);
+
+    // Lets the backend tell the user's moves, which it saves, from the app's own
+    function beginDrag() {
+        invoke('begin_widget_drag', { widgetId: widgetInfo.id }).catch(() => {});
+    }
+
+    function setupWindowControls() {
+        const style = document.createElement('style');
+        style.textContent = `
+            #dashlayer-drag-bar, #dashlayer-resize-grip {
+                position: fixed; z-index: 2147483647; opacity: 0; transition: opacity 0.15s;
+            }
+            #dashlayer-drag-bar {
+                top: 0; left: 0; right: 0; height: 12px; cursor: move;
+                background: linear-gradient(rgba(0, 0, 0, 0.45), transparent);
+            }
+            #dashlayer-resize-grip {
+                right: 0; bottom: 0; width: 14px; height: 14px; cursor: nwse-resize;
+                background: linear-gradient(135deg, transparent 50%, rgba(255, 255, 255, 0.6) 50%);
+            }
+            html:hover #dashlayer-drag-bar, html:hover #dashlayer-resize-grip { opacity: 1; }
+            html.dashlayer-locked #dashlayer-drag-bar, html.dashlayer-locked #dashlayer-resize-grip { display: none; }
+            #dashlayer-trial-close {
+                position: fixed; z-index: 2147483647; top: 16px; right: 4px; padding: 2px 8px;
+                border: none; border-radius: 10px; cursor: pointer; font: 11px sans-serif;
+                color: #fff; background: rgba(0, 0, 0, 0.65);
+            }
+        `;
+        document.head.appendChild(style);
+
+        const bar = document.createElement('div');
+        bar.id = 'dashlayer-drag-bar';
+        bar.title = 'Drag to move';
+        native.addEventListener.call(bar, 'mousedown', (e) => {
+            if (e.button !== 0) return;
+            beginDrag();
+            currentWindow.startDragging().catch(() => {});
+        });
+
+        const grip = document.createElement('div');
+        grip.id = 'dashlayer-resize-grip';
+        grip.title = 'Drag to resize';
+        native.addEventListener.call(grip, 'mousedown', (e) => {
+            if (e.button !== 0) return;
+            beginDrag();
+            currentWindow.startResizeDragging('SouthEast').catch(() => {});
+        });
+
+        // Widgets tried from the template gallery are temporary and close from here
+        const controls = [bar, grip];
+        if (context.trial) {
+            const close = document.createElement('button');
+            close.id = 'dashlayer-trial-close';
+            close.textContent = 'Preview ✕';
+            close.title = 'Close this preview';
+            native.addEventListener.call(close, 'click', () => invoke('close_trial_widget').catch(() => {}));
+            controls.push(close);
+        }
+
+        const mount = () => document.body.append(...controls);
+        if (document.body) mount();
+        else native.addEventListener.call(document, 'DOMContentLoaded', mount);
+
+        applyLock();
+    }
+
+    function applyLock() {
+        document.documentElement.classList.toggle('dashlayer-locked', locked);
+    }
+
+    if (currentWindow) {
+        setupWindowControls();
+    }
+
+    if (currentWindow && events?.listen) {
+        events.listen('dashlayer://lock', (event) => {
+            const payload = event.payload || {};
+            if (payload.widgetId !== widgetInfo.id) return;
+            locked = Boolean(payload.locked);
+            applyLock();
+        }).catch(e => console.error('Failed to listen for lock changes:', e));
+    }
+
+    // Called by the generated page to start the widget
+    Object.defineProperty(window, '__dashlayerRuntime', {
+        value: Object.freeze({ run: runWidgetCode })
+    });
+
+    window.dashlayer = Object.freeze({
+        version: context.version || null,
+        widget: Object.freeze({
+            id: widgetInfo.id,
+            name: widgetInfo.name,
+            size: Object.freeze({ width: widgetInfo.width, height: widgetInfo.height })
+        }),
+        storage: Object.freeze(storage),
+        settings: Object.freeze(settings),
+        system: Object.freeze(system),
+        every,
+        onShow: (callback) => addHandler('show', callback),
+        onHide: (callback) => addHandler('hide', callback),
+        onSettingsChanged: (callback) => addHandler('settingsChanged', callback)
+    });
+})();
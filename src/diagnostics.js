@@ -0,0 +1,175 @@
+// DashLayer Code Diagnostics
+// Finds problems in widget HTML, CSS and JavaScript for the editor's gutter markers.
+// Each check returns a list of { severity, message, line, column }, with 1-based lines.
+// JavaScript is parsed with the bundled Acorn (vendor/acorn); should it fail to load, and for HTML and CSS,
+// the formatter's parsers report unbalanced code.
+
+(function () {
+    'use strict';
+
+    // At-rules whose blocks hold descriptors rather than properties
+    const DESCRIPTOR_RULES = /^@(font-face|property|counter-style|page|font-feature-values|font-palette-values)\b/i;
+
+    function problem(severity, message, line, column = 0) {
+        return { severity, message, line, column };
+    }
+
+    function lineAt(text, index) {
+        let line = 1;
+        for (let i = 0; i < index; i++) {
+            if (text[i] === '\n') line++;
+        }
+        return line;
+    }
+
+    // Runs a formatter only to see whether it can parse the code
+    function checkStructure(format, text) {
+        try {
+            format(text, '  ');
+            return [];
+        } catch (error) {
+            if (!(error instanceof DashLayerFormatter.FormatError)) throw error;
+            return [problem('error', error.reason, error.line || 1)];
+        }
+    }
+
+    // HTML
+
+    // Every id attribute with the line it is on
+    function ids(text) {
+        const found = [];
+        const pattern = /<[a-zA-Z][^>]*?\sid\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+        let match;
+        while ((match = pattern.exec(text))) {
+            const id = (match[1] ?? match[2] ?? match[3]).trim();
+            if (id) found.push({ id, line: lineAt(text, match.index + match[0].length) });
+        }
+        return found;
+    }
+
+    function html(text) {
+        const problems = checkStructure(DashLayerFormatter.html, text);
+        const seen = new Set();
+
+        ids(text).forEach(({ id, line }) => {
+            if (seen.has(id)) {
+                problems.push(problem('warning', `Duplicate id "${id}"`, line));
+            }
+            seen.add(id);
+        });
+        return problems;
+    }
+
+    // CSS
+
+    function checkDeclaration(source, line) {
+        const declaration = source.trim();
+        const colon = declaration.indexOf(':');
+        if (colon <= 0) {
+            const shown = declaration.length > 30 ? declaration.slice(0, 30) + '...' : declaration;
+            return problem('error', `Expected "property: value" but found "${shown}"`, line);
+        }
+
+        const property = declaration.slice(0, colon).trim().toLowerCase();
+        const value = declaration.slice(colon + 1).replace(/!\s*important\s*$/i, '').trim();
+        if (!/^-?-?[a-z_][a-z0-9_-]*$/.test(property)) {
+            return problem('error', `"${property}" is not a valid property name`, line);
+        }
+        if (!value) return problem('error', `"${property}" has no value`, line);
+
+        // Custom and vendor-prefixed properties differ between engines
+        if (property.startsWith('-') || !window.CSS || !CSS.supports) return null;
+        if (!CSS.supports(property, 'inherit')) {
+            return problem('warning', `Unknown property "${property}"`, line);
+        }
+        if (!CSS.supports(property, value)) {
+            return problem('warning', `Invalid value for "${property}": ${value}`, line);
+        }
+        return null;
+    }
+
+    function css(text) {
+        const problems = checkStructure(DashLayerFormatter.css, text);
+        if (problems.length) return problems;
+
+        // Splits the sheet into preludes (ending in '{') and declarations (ending in ';' or '}')
+        const blocks = [];
+        let segment = '';
+        let segmentLine = null;
+        let line = 1;
+        let parens = 0;
+
+        const finishDeclaration = () => {
+            const block = blocks[blocks.length - 1];
+            if (block && !block.descriptors && segment.trim()) {
+                const found = checkDeclaration(segment, segmentLine);
+                if (found) problems.push(found);
+            }
+            segment = '';
+            segmentLine = null;
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (char === '/' && text[i + 1] === '*') {
+                const end = text.indexOf('*/', i + 2);
+                const stop = end === -1 ? text.length : end + 2;
+                line += (text.slice(i, stop).match(/\n/g) || []).length;
+                i = stop - 1;
+                continue;
+            }
+            if (char === '\n') line++;
+            if (!/\s/.test(char) && segmentLine === null) segmentLine = line;
+
+            if (char === '"' || char === "'") {
+                let end = i + 1;
+                while (end < text.length && text[end] !== char) {
+                    if (text[end] === '\\') end++;
+                    end++;
+                }
+                segment += text.slice(i, end + 1);
+                i = end;
+            } else if (char === '(') {
+                parens++;
+                segment += char;
+            } else if (char === ')') {
+                parens--;
+                segment += char;
+            } else if (char === '{' && parens <= 0) {
+                const parent = blocks[blocks.length - 1];
+                blocks.push({ descriptors: Boolean(parent && parent.descriptors) || DESCRIPTOR_RULES.test(segment.trim()) });
+                segment = '';
+                segmentLine = null;
+            } else if (char === ';' && parens <= 0) {
+                finishDeclaration();
+            } else if (char === '}' && parens <= 0) {
+                finishDeclaration();
+                blocks.pop();
+            } else {
+                segment += char;
+            }
+        }
+        return problems;
+    }
+
+    // JavaScript
+
+    // Widget code runs as a classic script, or as a module when the widget is one
+    function js(text, options = {}) {
+        if (!window.acorn) return checkStructure(DashLayerFormatter.js, text);
+
+        try {
+            acorn.parse(text, {
+                ecmaVersion: 'latest',
+                sourceType: options.module ? 'module' : 'script'
+            });
+            return [];
+        } catch (error) {
+            if (!(error instanceof SyntaxError) || !error.loc) throw error;
+            return [problem('error', error.message.replace(/\s*\(\d+:\d+\)$/, ''), error.loc.line, error.loc.column)];
+        }
+    }
+
+    window.DashLayerDiagnostics = Object.freeze({ html, css, js, ids });
+})();
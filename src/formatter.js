@@ -0,0 +1,731 @@
+// DashLayer Code Formatter
+// Pretty-prints widget HTML, CSS and JavaScript for the editor's Format button.
+// Works offline. Code that can't be parsed raises a FormatError and is left as it was.
+
+(function () {
+    'use strict';
+
+    class FormatError extends Error {
+        constructor(reason, line) {
+            super(line ? `${reason} (line ${line})` : reason);
+            this.name = 'FormatError';
+            this.reason = reason;
+            this.line = line;
+        }
+    }
+
+    // Indents lines of { depth, text } and keeps at most one blank line in a row
+    function joinLines(lines, indentUnit) {
+        const output = [];
+        lines.forEach(({ depth, text }) => {
+            if (!text.trim()) {
+                if (output.length && output[output.length - 1] !== '') output.push('');
+                return;
+            }
+            output.push(indentUnit.repeat(Math.max(depth, 0)) + text.replace(/[ \t]+$/, ''));
+        });
+        while (output[output.length - 1] === '') output.pop();
+        return output.join('\n');
+    }
+
+    function countLines(text) {
+        return text.split('\n').length - 1;
+    }
+
+    // JavaScript
+    // Tokens keep their text exactly; formatting only changes the whitespace between them.
+    const REGEX_AFTER_WORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+    // Words after which a '*' or '-' starts something rather than multiplying or subtracting
+    const OPERAND_AFTER_WORDS = new Set([...REGEX_AFTER_WORDS, 'function', 'static', 'import', 'export']);
+    // Longest first, so each operator is read as one token
+    const PUNCTUATORS = ['>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+        '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=', '%=',
+        '&=', '|=', '^=', '**', '<<', '>>'];
+    // Operators spaced on both sides when they stand between two operands
+    const BINARY_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=',
+        '^=', '&&=', '||=', '??=', '==', '===', '!=', '!==', '<', '>', '<=', '>=', '&&', '||', '??', '+', '-',
+        '*', '/', '%', '**', '&', '|', '^', '<<', '>>', '>>>', '=>']);
+    const NUMBER = /(?:0[xob][\da-f_]+|\d[\d_]*\.?[\d_]*(?:e[+-]?[\d_]+)?|\.\d[\d_]*(?:e[+-]?[\d_]+)?)n?/iy;
+    const OPENERS = { '(': ')', '[': ']', '{': '}' };
+    const CLOSERS = { ')': '(', ']': '[', '}': '{' };
+    const BLOCK_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'with']);
+    const BLOCK_CONTINUATIONS = new Set(['else', 'catch', 'finally', 'while']);
+    // Words directly followed by a statement block
+    const BLOCK_WORDS = new Set(['else', 'try', 'catch', 'finally', 'do']);
+
+    function skipString(source, i, line) {
+        const quote = source[i++];
+        while (i < source.length) {
+            const ch = source[i];
+            if (ch === '\\') i += 2;
+            else if (ch === quote) return i + 1;
+            else if (ch === '\n') break;
+            else i++;
+        }
+        throw new FormatError('Unterminated string', line);
+    }
+
+    function skipTemplate(source, i, line) {
+        i++;
+        while (i < source.length) {
+            const ch = source[i];
+            if (ch === '\\') i += 2;
+            else if (ch === '`') return i + 1;
+            else if (ch === '$' && source[i + 1] === '{') i = skipTemplateExpression(source, i + 2, line);
+            else i++;
+        }
+        throw new FormatError('Unterminated template literal', line);
+    }
+
+    function skipTemplateExpression(source, i, line) {
+        let depth = 1;
+        while (i < source.length) {
+            const ch = source[i];
+            if (ch === '"' || ch === "'") {
+                i = skipString(source, i, line);
+            } else if (ch === '`') {
+                i = skipTemplate(source, i, line);
+            } else if (ch === '/' && source[i + 1] === '*') {
+                const end = source.indexOf('*/', i + 2);
+                if (end === -1) break;
+                i = end + 2;
+            } else if (ch === '/' && source[i + 1] === '/') {
+                const end = source.indexOf('\n', i);
+                i = end === -1 ? source.length : end;
+            } else {
+                if (ch === '{') depth++;
+                if (ch === '}' && --depth === 0) return i + 1;
+                i++;
+            }
+        }
+        throw new FormatError('Unterminated template literal', line);
+    }
+
+    function skipRegex(source, i, line) {
+        let inClass = false;
+        i++;
+        while (i < source.length) {
+            const ch = source[i];
+            if (ch === '\\') {
+                i += 2;
+            } else if (ch === '\n') {
+                break;
+            } else {
+                if (ch === '[') inClass = true;
+                else if (ch === ']') inClass = false;
+                else if (ch === '/' && !inClass) {
+                    i++;
+                    while (i < source.length && /\w/.test(source[i])) i++;
+                    return i;
+                }
+                i++;
+            }
+        }
+        throw new FormatError('Unterminated regular expression', line);
+    }
+
+    // A slash starts a regex unless it follows a value
+    function regexAllowed(tokens) {
+        for (let index = tokens.length - 1; index >= 0; index--) {
+            const token = tokens[index];
+            if (token.type === 'comment') continue;
+            if (token.type === 'word') return REGEX_AFTER_WORDS.has(token.text);
+            if (token.type === 'punct') return token.text !== ')' && token.text !== ']';
+            return false;
+        }
+        return true;
+    }
+
+    function tokenizeJs(source) {
+        const tokens = [];
+        let i = 0;
+        let line = 1;
+        let newlines = 0;
+        let space = false;
+
+        while (i < source.length) {
+            const ch = source[i];
+            if (ch === '\n') {
+                newlines++;
+                line++;
+                i++;
+                continue;
+            }
+            if (/\s/.test(ch)) {
+                space = true;
+                i++;
+                continue;
+            }
+
+            const start = i;
+            let type = 'punct';
+            if (ch === '/' && source[i + 1] === '/') {
+                const end = source.indexOf('\n', i);
+                i = end === -1 ? source.length : end;
+                type = 'comment';
+            } else if (ch === '/' && source[i + 1] === '*') {
+                const end = source.indexOf('*/', i + 2);
+                if (end === -1) throw new FormatError('Unterminated comment', line);
+                i = end + 2;
+                type = 'comment';
+            } else if (ch === '"' || ch === "'") {
+                i = skipString(source, i, line);
+                type = 'string';
+            } else if (ch === '`') {
+                i = skipTemplate(source, i, line);
+                type = 'string';
+            } else if (ch === '/' && regexAllowed(tokens)) {
+                i = skipRegex(source, i, line);
+                type = 'regex';
+            } else if (/\d/.test(ch) || (ch === '.' && /\d/.test(source[i + 1]))) {
+                // Read whole, so the sign of an exponent isn't taken for an operator
+                NUMBER.lastIndex = i;
+                i = NUMBER.test(source) ? NUMBER.lastIndex : i + 1;
+                while (i < source.length && /[\w$\u0080-\uffff]/.test(source[i])) i++;
+                type = 'number';
+            } else if (/[\w$\u0080-\uffff]/.test(ch)) {
+                while (i < source.length && /[\w$\u0080-\uffff]/.test(source[i])) i++;
+                type = 'word';
+            } else {
+                // '?.' before a digit is a '?' followed by a number
+                const punctuator = PUNCTUATORS.find(text => source.startsWith(text, i)
+                    && !(text === '?.' && /\d/.test(source[i + 2])));
+                i += punctuator ? punctuator.length : 1;
+            }
+
+            const text = source.slice(start, i);
+            tokens.push({ type, text, line, newlines, space });
+            line += countLines(text);
+            newlines = 0;
+            space = false;
+        }
+
+        return tokens;
+    }
+
+    // Pairs every bracket with its partner, or reports the first one that doesn't match
+    function matchBrackets(tokens) {
+        const stack = [];
+        const partners = new Map();
+        tokens.forEach((token, index) => {
+            if (token.type !== 'punct') return;
+            if (OPENERS[token.text]) {
+                stack.push(index);
+            } else if (CLOSERS[token.text]) {
+                const open = stack.pop();
+                if (open === undefined) {
+                    throw new FormatError(`Unexpected '${token.text}'`, token.line);
+                }
+                if (tokens[open].text !== CLOSERS[token.text]) {
+                    throw new FormatError(`Expected '${OPENERS[tokens[open].text]}' for the '${tokens[open].text}' on line ${tokens[open].line} but found '${token.text}'`, token.line);
+                }
+                partners.set(open, index);
+                partners.set(index, open);
+            }
+        });
+        if (stack.length) {
+            const open = tokens[stack[stack.length - 1]];
+            throw new FormatError(`'${open.text}' is never closed`, open.line);
+        }
+        return partners;
+    }
+
+    // Last token before the index that isn't a comment
+    function previousCode(tokens, index) {
+        let i = index - 1;
+        while (i >= 0 && tokens[i].type === 'comment') i--;
+        return i;
+    }
+
+    // Braces that open a statement block (function and arrow bodies, if, loops, try...)
+    // rather than an object literal, and which of them are switch bodies
+    function findBlocks(tokens, partners) {
+        const blocks = new Set();
+        const switches = new Set();
+        tokens.forEach((token, index) => {
+            if (token.text !== '{' || token.type !== 'punct') return;
+            const previousIndex = previousCode(tokens, index);
+            const previous = tokens[previousIndex];
+            if (!previous) return;
+
+            if (previous.type === 'punct' && previous.text === ')') {
+                blocks.add(index);
+                const keyword = tokens[previousCode(tokens, partners.get(previousIndex))];
+                if (keyword && keyword.type === 'word' && keyword.text === 'switch') switches.add(index);
+            } else if ((previous.type === 'word' && BLOCK_WORDS.has(previous.text))
+                || (previous.type === 'punct' && previous.text === '=>')) {
+                blocks.add(index);
+            }
+        });
+        return { blocks, switches };
+    }
+
+    // What each operator and colon does: 'binary' between two operands (including the
+    // '?' and ':' of a conditional), 'case' ending a switch label, or 'label' for other
+    // colons (object keys, statement labels)
+    function findOperators(tokens, partners, blocks, switches) {
+        const roles = new Map();
+        const stack = [];
+        const conditionals = [];
+        let afterOperand = false;
+        let inCaseLabel = false;
+
+        tokens.forEach((token, index) => {
+            if (token.type === 'comment') return;
+            const text = token.text;
+            let operand = true;
+
+            if (token.type === 'word') {
+                operand = !OPERAND_AFTER_WORDS.has(text);
+                if ((text === 'case' || text === 'default') && switches.has(stack[stack.length - 1])) inCaseLabel = true;
+            } else if (token.type === 'punct') {
+                operand = false;
+                if (OPENERS[text]) {
+                    stack.push(index);
+                } else if (CLOSERS[text]) {
+                    stack.pop();
+                    // Ends a value, unless it closes a block or the condition of an if or loop
+                    const open = partners.get(index);
+                    const keyword = tokens[previousCode(tokens, open)];
+                    operand = !blocks.has(open) && !(text === ')' && keyword && keyword.type === 'word' && BLOCK_KEYWORDS.has(keyword.text));
+                } else if (text === '++' || text === '--') {
+                    operand = afterOperand;
+                } else if (text === '?') {
+                    roles.set(index, 'binary');
+                    conditionals.push(stack.length);
+                } else if (text === ':') {
+                    if (conditionals[conditionals.length - 1] === stack.length) {
+                        conditionals.pop();
+                        roles.set(index, 'binary');
+                    } else if (inCaseLabel && switches.has(stack[stack.length - 1])) {
+                        inCaseLabel = false;
+                        roles.set(index, 'case');
+                    } else {
+                        roles.set(index, 'label');
+                    }
+                } else if (afterOperand && BINARY_OPERATORS.has(text)) {
+                    roles.set(index, 'binary');
+                }
+            }
+            afterOperand = operand;
+        });
+        return roles;
+    }
+
+    // Braces get their own lines when they hold statements or expanded braces, span lines
+    // already or are long, and statement blocks always do unless empty; short object
+    // literals stay on one line. Inner braces are decided first.
+    function findExpandedBlocks(tokens, partners, blocks) {
+        const expanded = new Set();
+        for (let index = tokens.length - 1; index >= 0; index--) {
+            const token = tokens[index];
+            if (token.text !== '{' || token.type !== 'punct') continue;
+            const close = partners.get(index);
+            if (blocks.has(index) && close > index + 1) {
+                expanded.add(index);
+                continue;
+            }
+            let length = 0;
+            for (let inner = index + 1; inner < close; inner++) {
+                const t = tokens[inner];
+                length += t.text.length + 1;
+                if (t.newlines || t.type === 'comment' || t.text.includes('\n') || expanded.has(inner)) {
+                    expanded.add(index);
+                    break;
+                }
+                if (t.text === ';' && t.type === 'punct' && findOpener(tokens, partners, inner, index) === index) {
+                    expanded.add(index);
+                    break;
+                }
+            }
+            if (length > 80) expanded.add(index);
+        }
+        return expanded;
+    }
+
+    // Innermost bracket around a token, searching back from it
+    function findOpener(tokens, partners, index, limit) {
+        for (let i = index - 1; i >= limit; i--) {
+            if (tokens[i].type !== 'punct') continue;
+            if (CLOSERS[tokens[i].text]) {
+                i = partners.get(i);
+            } else if (OPENERS[tokens[i].text]) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    function formatJs(source, indentUnit = '  ') {
+        const tokens = tokenizeJs(source);
+        const partners = matchBrackets(tokens);
+        const { blocks, switches } = findBlocks(tokens, partners);
+        const roles = findOperators(tokens, partners, blocks, switches);
+        const expanded = findExpandedBlocks(tokens, partners, blocks);
+
+        // Split the tokens into lines: original line breaks plus the ones the layout needs
+        const lines = [];
+        let current = null;
+        const stack = [];
+        tokens.forEach((token, index) => {
+            const previous = tokens[index - 1];
+            const trailingComment = token.type === 'comment' && !token.newlines;
+            const statementLevel = !stack.length || expanded.has(stack[stack.length - 1]);
+            let breakBefore = !current || token.newlines > 0;
+            if (current && !trailingComment) {
+                if (previous.text === '{' && expanded.has(index - 1)) breakBefore = true;
+                if (token.text === '}' && expanded.has(partners.get(index))) breakBefore = true;
+                if (previous.text === ';' && previous.type === 'punct' && statementLevel) breakBefore = true;
+                // A case's statements start below its label, unless it is a single block
+                if (roles.get(previousCode(tokens, index)) === 'case' && token.text !== '{') breakBefore = true;
+                if (previous.text === '}' && expanded.has(partners.get(index - 1)) && statementLevel
+                    && token.type === 'word' && !BLOCK_CONTINUATIONS.has(token.text)) {
+                    breakBefore = true;
+                }
+            }
+
+            if (breakBefore) {
+                current = { tokens: [], blank: token.newlines > 1 };
+                lines.push(current);
+            } else {
+                const member = tokens[index - 2] && (tokens[index - 2].text === '.' || tokens[index - 2].text === '?.');
+                current.tokens.push(needsSpace(previous, token, roles.get(index - 1), roles.get(index), member) ? ' ' : '');
+            }
+            current.tokens.push(token.text);
+            current.first = current.first || token;
+
+            if (token.type === 'punct' && OPENERS[token.text]) stack.push(index);
+            if (token.type === 'punct' && CLOSERS[token.text]) stack.pop();
+        });
+
+        // Indent each line by the brackets still open at its start; brackets opened
+        // together on one line count once. Statements under a case label go one deeper,
+        // except in a block that starts on the label's line.
+        const open = [];
+        const output = [];
+        let tokenIndex = 0;
+        lines.forEach((line, lineIndex) => {
+            const start = tokenIndex;
+            const lineTokens = tokens.slice(start, start + (line.tokens.length + 1) / 2);
+            tokenIndex += lineTokens.length;
+
+            let leading = 0;
+            while (leading < lineTokens.length && lineTokens[leading].type === 'punct' && CLOSERS[lineTokens[leading].text]) leading++;
+            const inner = open.slice(0, open.length - leading);
+            const closed = open.slice(open.length - leading);
+            // A line closing what was opened together with an outer bracket, as in
+            // '}, true);', goes back to where that line started
+            const closedLines = new Set(closed.map(entry => entry.line));
+            const depthAfterLeading = new Set(inner.map(entry => entry.line).filter(line => !closedLines.has(line))).size;
+            // Lines starting with an operator continue the statement above; inside brackets
+            // they already get the bracket's indent
+            const innermost = inner[inner.length - 1];
+            const statementLevel = !innermost || blocks.has(innermost.index);
+            const continuation = line.first.text === '.' || line.first.text === '?.'
+                || (roles.get(start) === 'binary' && statementLevel) ? 1 : 0;
+            const caseLabel = line.first.type === 'word' && (line.first.text === 'case' || line.first.text === 'default');
+            let caseDepth = 0;
+            inner.forEach((entry, i) => {
+                if (!entry.switchBody) return;
+                const next = inner[i + 1] || closed[0];
+                if (next ? !next.caseBlock : !caseLabel) caseDepth++;
+            });
+
+            if (line.blank) output.push({ depth: 0, text: '' });
+            output.push({ depth: depthAfterLeading + caseDepth + continuation, text: line.tokens.join('') });
+
+            lineTokens.forEach((token, offset) => {
+                if (token.type !== 'punct') return;
+                const index = start + offset;
+                if (OPENERS[token.text]) {
+                    open.push({
+                        index,
+                        line: lineIndex,
+                        switchBody: switches.has(index),
+                        caseBlock: roles.get(previousCode(tokens, index)) === 'case'
+                    });
+                }
+                if (CLOSERS[token.text]) open.pop();
+            });
+        });
+
+        return joinLines(output, indentUnit);
+    }
+
+    // Spacing is kept as written, except a few spaces that are always safe to add
+    function needsSpace(previous, token, previousRole, role, member) {
+        if (token.space) return true;
+        if (role === 'binary' || previousRole) return true;
+        if ((previous.text === ',' || previous.text === ';') && !/^[)\];,]$/.test(token.text)) return true;
+        if (token.text === '{' && (previous.text === ')' || previous.type === 'word')) return true;
+        if (token.text === '(' && BLOCK_KEYWORDS.has(previous.text) && !member) return true;
+        if (previous.text === '}' && BLOCK_CONTINUATIONS.has(token.text)) return true;
+        return false;
+    }
+
+    // CSS
+    function formatCss(source, indentUnit = '  ') {
+        const output = [];
+        const blocks = [];
+        let buffer = '';
+        let bufferLine = 1;
+        let line = 1;
+        let parens = 0;
+
+        const append = (text) => {
+            if (!buffer.trim()) bufferLine = line;
+            buffer += text;
+        };
+        const take = () => {
+            const text = buffer.trim();
+            buffer = '';
+            return text;
+        };
+        const emitDeclaration = (text) => {
+            if (!text) return;
+            const match = blocks.length && /^(-{0,2}[\w-]+)\s*:\s*([\s\S]*)$/.exec(text);
+            output.push({ depth: blocks.length, text: `${match ? `${match[1]}: ${match[2]}` : text};` });
+        };
+
+        for (let i = 0; i < source.length; i++) {
+            const ch = source[i];
+            if (ch === '/' && source[i + 1] === '*') {
+                const end = source.indexOf('*/', i + 2);
+                if (end === -1) throw new FormatError('Unterminated comment', line);
+                const comment = source.slice(i, end + 2);
+                if (buffer.trim()) append(comment);
+                else output.push({ depth: blocks.length, text: comment });
+                line += countLines(comment);
+                i = end + 1;
+            } else if (ch === '"' || ch === "'") {
+                const end = skipString(source, i, line);
+                append(source.slice(i, end));
+                i = end - 1;
+            } else if (/\s/.test(ch)) {
+                if (ch === '\n') line++;
+                if (buffer && !buffer.endsWith(' ')) buffer += ' ';
+            } else if (ch === '(' || ch === ')') {
+                parens += ch === '(' ? 1 : -1;
+                append(ch);
+            } else if (ch === '{' && !parens) {
+                const selector = take();
+                if (!selector) throw new FormatError("Missing selector before '{'", line);
+                output.push({ depth: blocks.length, text: `${selector} {` });
+                blocks.push(line);
+            } else if (ch === ';' && !parens) {
+                emitDeclaration(take());
+            } else if (ch === '}' && !parens) {
+                if (!blocks.length) throw new FormatError("Unexpected '}'", line);
+                emitDeclaration(take());
+                blocks.pop();
+                output.push({ depth: blocks.length, text: '}' });
+                if (!blocks.length) output.push({ depth: 0, text: '' });
+            } else {
+                append(ch);
+            }
+        }
+
+        if (parens) throw new FormatError('Unbalanced parentheses', bufferLine);
+        if (blocks.length) throw new FormatError("'{' is never closed", blocks[blocks.length - 1]);
+        const rest = take();
+        if (rest) output.push({ depth: 0, text: rest });
+
+        return joinLines(output, indentUnit);
+    }
+
+    // HTML
+    const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+    const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'pre', 'title']);
+    const INLINE_ELEMENTS = new Set(['a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'button', 'cite', 'code', 'data', 'dfn', 'em', 'i', 'img', 'input', 'kbd', 'label', 'mark', 'q', 's', 'samp', 'select', 'small', 'span', 'strong', 'sub', 'sup', 'textarea', 'time', 'title', 'u', 'var', 'wbr']);
+    // Elements whose end tag may be left out; a sibling of the same kind closes them
+    const OPTIONAL_END = { li: ['li'], p: ['p'], option: ['option'], dt: ['dt', 'dd'], dd: ['dt', 'dd'], tr: ['tr'], td: ['td', 'th'], th: ['td', 'th'], thead: [], tbody: ['tbody'], tfoot: [] };
+    const SCRIPT_TYPES = ['module', 'text/javascript', 'application/javascript'];
+
+    function parseHtml(source) {
+        const root = { type: 'root', children: [] };
+        const stack = [root];
+        let i = 0;
+        let line = 1;
+        const top = () => stack[stack.length - 1];
+        const add = (node) => top().children.push(node);
+        const advance = (to) => {
+            line += countLines(source.slice(i, to));
+            i = to;
+        };
+
+        while (i < source.length) {
+            const startLine = line;
+            if (source.startsWith('<!--', i)) {
+                const end = source.indexOf('-->', i + 4);
+                if (end === -1) throw new FormatError('Unterminated comment', line);
+                add({ type: 'comment', text: source.slice(i, end + 3) });
+                advance(end + 3);
+            } else if (source.startsWith('<!', i)) {
+                const end = source.indexOf('>', i);
+                if (end === -1) throw new FormatError('Unterminated doctype', line);
+                add({ type: 'comment', text: source.slice(i, end + 1) });
+                advance(end + 1);
+            } else if (source[i] === '<' && source[i + 1] === '/' && /[a-zA-Z]/.test(source[i + 2] || '')) {
+                const match = /^<\/([a-zA-Z][\w:-]*)\s*>/.exec(source.slice(i, i + 200));
+                if (!match) throw new FormatError('Malformed closing tag', line);
+                closeElement(stack, match[1].toLowerCase(), line);
+                advance(i + match[0].length);
+            } else if (source[i] === '<' && /[a-zA-Z]/.test(source[i + 1] || '')) {
+                const end = findTagEnd(source, i);
+                const name = /^<([a-zA-Z][\w:-]*)/.exec(source.slice(i))[1];
+                if (end === -1) throw new FormatError(`Unclosed tag <${name}`, line);
+                const element = { type: 'element', name: name.toLowerCase(), tag: source.slice(i, end), children: [], line };
+                advance(end);
+
+                const parentEnds = OPTIONAL_END[top().name];
+                if (parentEnds && (parentEnds.includes(element.name) || (top().name === 'p' && !INLINE_ELEMENTS.has(element.name)))) {
+                    stack.pop();
+                }
+                add(element);
+
+                if (RAW_TEXT_ELEMENTS.has(element.name) && !element.tag.endsWith('/>')) {
+                    const close = new RegExp(`</${element.name}\\s*>`, 'i').exec(source.slice(i));
+                    if (!close) throw new FormatError(`<${element.name}> is never closed`, startLine);
+                    element.raw = source.slice(i, i + close.index);
+                    element.rawLine = line;
+                    advance(i + close.index + close[0].length);
+                } else if (!VOID_ELEMENTS.has(element.name) && !element.tag.endsWith('/>')) {
+                    stack.push(element);
+                }
+            } else {
+                let end = i + 1;
+                while (end < source.length && !(source[end] === '<' && /[a-zA-Z/!]/.test(source[end + 1] || ''))) end++;
+                add({ type: 'text', text: source.slice(i, end) });
+                advance(end);
+            }
+        }
+
+        const unclosed = stack.slice(1).reverse().find(element => !OPTIONAL_END[element.name]);
+        if (unclosed) throw new FormatError(`<${unclosed.name}> is never closed`, unclosed.line);
+        return root;
+    }
+
+    // End of a start tag, skipping '>' inside quoted attribute values
+    function findTagEnd(source, i) {
+        let quote = null;
+        for (let end = i + 1; end < source.length; end++) {
+            const ch = source[end];
+            if (quote) {
+                if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === '<') {
+                return -1;
+            } else if (ch === '>') {
+                return end + 1;
+            }
+        }
+        return -1;
+    }
+
+    function closeElement(stack, name, line) {
+        let index = stack.length - 1;
+        while (index > 0 && stack[index].name !== name) index--;
+        if (index === 0) throw new FormatError(`Unexpected </${name}>`, line);
+
+        const unclosed = stack.slice(index + 1).find(element => !OPTIONAL_END[element.name]);
+        if (unclosed) {
+            throw new FormatError(`<${unclosed.name}> on line ${unclosed.line} is never closed before </${name}>`, line);
+        }
+        stack.length = index;
+    }
+
+    function isInline(node) {
+        if (node.type === 'text') return true;
+        if (node.type !== 'element' || !INLINE_ELEMENTS.has(node.name)) return false;
+        return node.raw !== undefined || node.children.every(isInline);
+    }
+
+    function renderInline(node) {
+        if (node.type === 'text') return node.text.replace(/\s+/g, ' ');
+        if (node.raw !== undefined) return `${node.tag}${node.raw}</${node.name}>`;
+        if (!node.children.length && (VOID_ELEMENTS.has(node.name) || node.tag.endsWith('/>'))) return node.tag;
+        return `${node.tag}${node.children.map(renderInline).join('')}</${node.name}>`;
+    }
+
+    // Whitespace with a line break, where the author put inline content on separate lines
+    function isLineBreak(node) {
+        return node.type === 'text' && !node.text.trim() && node.text.includes('\n');
+    }
+
+    function renderChildren(children, depth, output, indentUnit) {
+        let run = [];
+        const flush = () => {
+            const text = run.map(renderInline).join('').trim();
+            if (text) output.push({ depth, text });
+            run = [];
+        };
+
+        children.forEach(node => {
+            if (isLineBreak(node)) {
+                flush();
+            } else if (isInline(node)) {
+                run.push(node);
+            } else {
+                flush();
+                renderBlock(node, depth, output, indentUnit);
+            }
+        });
+        flush();
+    }
+
+    function renderBlock(node, depth, output, indentUnit) {
+        if (node.type === 'comment') {
+            output.push({ depth, text: node.text });
+        } else if (node.raw !== undefined) {
+            renderRawText(node, depth, output, indentUnit);
+        } else if (VOID_ELEMENTS.has(node.name) || node.tag.endsWith('/>')) {
+            output.push({ depth, text: node.tag });
+        } else if (node.children.every(isInline) && !node.children.some(isLineBreak)) {
+            output.push({ depth, text: `${node.tag}${node.children.map(renderInline).join('').trim()}</${node.name}>` });
+        } else {
+            output.push({ depth, text: node.tag });
+            renderChildren(node.children, depth + 1, output, indentUnit);
+            output.push({ depth, text: `</${node.name}>` });
+        }
+    }
+
+    // <script> and <style> contents are formatted as JS and CSS, other raw text is kept
+    function renderRawText(node, depth, output, indentUnit) {
+        const type = /\stype\s*=\s*["']?([^"'\s>]+)/i.exec(node.tag)?.[1]?.toLowerCase();
+        const format = node.name === 'style' ? formatCss
+            : node.name === 'script' && (!type || SCRIPT_TYPES.includes(type)) ? formatJs
+            : null;
+
+        if (!format || !node.raw.trim()) {
+            output.push({ depth, text: `${node.tag}${format ? '' : node.raw}</${node.name}>` });
+            return;
+        }
+
+        let formatted;
+        try {
+            formatted = format(node.raw, indentUnit);
+        } catch (error) {
+            if (!(error instanceof FormatError)) throw error;
+            throw new FormatError(`In <${node.name}>: ${error.reason}`, error.line && node.rawLine + error.line - 1);
+        }
+
+        output.push({ depth, text: node.tag });
+        formatted.split('\n').forEach(text => output.push({ depth: depth + 1, text }));
+        output.push({ depth, text: `</${node.name}>` });
+    }
+
+    function formatHtml(source, indentUnit = '  ') {
+        const root = parseHtml(source);
+        const output = [];
+        renderChildren(root.children, 0, output, indentUnit);
+        return joinLines(output, indentUnit);
+    }
+
+    window.DashLayerFormatter = Object.freeze({
+        html: formatHtml,
+        css: formatCss,
+        js: formatJs,
+        FormatError
+    });
+})();
@@ -2,6 +2,7 @@
 // Using Tauri Global API
 
 const { invoke } = window.__TAURI__.core;
+const { emitTo, listen } = window.__TAURI__.event;
 
 // App version
 const APP_VERSION = '0.1.0';
@@ -12,24 +13,135 @@ const state = {
     widgets: [],
     profiles: [],
     dependencies: [],
+    dependencyStatus: {}, // Integrity status of cached files, by dependency id
     currentWidget: null,
     editors: {},
+    themeDraft: null, // Custom theme being edited, previewed until its dialog closes
     autostart: false,
+    appSettings: {}, // Preferences saved in settings.json
     openWidgets: new Set(), // Track open widgets
-    templates: [] // Widget templates
+    templates: [], // Widget templates
+    templateFilter: { query: '', category: '' }, // Gallery search box and category filter
+    templateThumbnails: {}, // Rendered thumbnail pages, by template key
+    thumbnailObserver: null, // Rescales thumbnails when their cards change size
+    editorSettingsSchema: [], // Settings schema of the widget being edited
+    editorDependencies: [], // Ordered dependency ids of the widget being edited
+    liveWidgets: new Set(), // Widgets receiving editor changes live
+    hotReloadSnapshots: {}, // Last code pushed to each open widget window
+    previewOpen: false, // Editor preview pane visibility
+    widgetLogs: {}, // Console entries forwarded by each widget window
+    unseenErrors: {}, // Error count per widget since its console was last opened
+    consoleWidgetId: null, // Widget whose console is shown in the modal
+    revisionHistory: null, // Revisions, selection and file shown in the history modal
+    presentationMode: false, // Manual toggle matched by presentation rules
+    ruleMatch: null, // Profile and rule kind that matched on the last check
+    ruleCheckRunning: false,
+    ruleCheckPending: false,
+    monitorLayout: null, // Monitor positions and sizes seen on the last check
+    monitorCount: 0,
+    monitorLayoutChanged: false, // Layout changed since the rules were last checked
+    switchLog: [], // Recent automatic profile switches
+    editingRules: [], // Rules being edited in the profile rules modal
+    monitors: [], // Connected monitors, read when the position editor opens
+    configPositionMode: 'absolute', // Placement mode last applied in the Configure modal
+    layout: { items: [], selected: new Set(), guides: [], dirty: false }, // Layout editor arrangement
+    layoutDrag: null, // Move or resize in progress in the layout editor
+    arranging: false, // All widget windows unlocked for arranging
+    interactiveWidgets: new Set(), // Click-through widgets temporarily taking mouse input
+    interactiveTimers: {}
 };
 
+// Delay before editor changes are pushed to a live widget
+const HOT_RELOAD_DELAY = 400;
+
+// Console entries kept per widget
+const MAX_LOG_ENTRIES = 500;
+
+// Auto-snapshots kept for undoing profile switches
+const MAX_AUTO_SNAPSHOTS = 5;
+
+// Larger line-by-line comparisons show the whole file as changed instead of a diff
+const MAX_DIFF_CELLS = 4000000;
+
+// CodeMirror theme used with the dark and light app themes
+const EDITOR_THEMES = { dark: 'dracula', light: 'default' };
+
+// Colors a custom theme can change, as CSS variables from styles.css
+const THEME_COLORS = [
+    { key: 'bg-primary', label: 'Background' },
+    { key: 'bg-secondary', label: 'Panels' },
+    { key: 'bg-tertiary', label: 'Inputs' },
+    { key: 'bg-elevated', label: 'Raised surfaces' },
+    { key: 'bg-hover', label: 'Hover' },
+    { key: 'text-primary', label: 'Text' },
+    { key: 'text-secondary', label: 'Secondary text' },
+    { key: 'text-muted', label: 'Muted text' },
+    { key: 'accent-primary', label: 'Accent' },
+    { key: 'accent-secondary', label: 'Accent gradient end' },
+    { key: 'border-color', label: 'Borders' }
+];
+
+// Names of the editor buffers, as shown in formatter and diagnostics messages
+const CODE_LANGUAGES = { html: 'HTML', css: 'CSS', js: 'JavaScript' };
+
+// Delay between typing and re-checking the code in an editor
+const LINT_DELAY = 500;
+
+// Members of `window.dashlayer` offered by autocomplete; functions list their parameters
+const DASHLAYER_API = {
+    version: null,
+    widget: { id: null, name: null, size: { width: null, height: null } },
+    storage: { get: '(key, fallback)', set: '(key, value)', remove: '(key)', keys: '()', clear: '()' },
+    settings: { get: '(key, fallback)', all: '()' },
+    system: { subscribe: '(callback, options)', get: '()', refresh: '()' },
+    every: '(ms, callback)',
+    onShow: '(callback)',
+    onHide: '(callback)',
+    onSettingsChanged: '(callback)'
+};
+
+// How often profile rules are checked, and how many automatic switches are logged
+const RULE_CHECK_INTERVAL = 30000;
+const MONITOR_CHECK_INTERVAL = 5000;
+const MAX_SWITCH_LOG = 50;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Anchor points for widget placement, row by row
+const ANCHORS = ['top-left', 'top', 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom', 'bottom-right'];
+
+// Window layers, from bottom to top
+const LAYERS = [
+    { value: 'desktop', label: 'On the desktop (below windows)' },
+    { value: 'normal', label: 'Normal' },
+    { value: 'top', label: 'Always on top' }
+];
+
+// How long a click-through widget stays interactive after the quick toggle
+const INTERACTIVE_TIMEOUT = 60000;
+
+// Layout editor: snapping distance in screen pixels, and the smallest widget size
+const LAYOUT_SNAP_DISTANCE = 8;
+const LAYOUT_MIN_SIZE = 40;
+
+// Backend commands the sandboxed editor preview may request through postMessage
+const PREVIEW_COMMANDS = ['get_system_info'];
+
 // Initialize App
 document.addEventListener('DOMContentLoaded', async () => {
     await loadData();
     await loadSettings();
+    applyTheme();
     initNavigation();
     initEditors();
     initEventListeners();
     initSettings();
+    initLayoutEditor();
     renderWidgets();
     renderProfiles();
     renderDependencies();
+    listenForWidgetLogs();
+    listenForWidgetGeometry();
     await loadTemplates(); // Load widget templates
     
     // Launch autostart widgets
@@ -38,6 +150,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     } catch (e) {
         console.log('No autostart widgets');
     }
+    await syncOpenWidgets();
+    await startMonitorWatch();
+    startProfileRules();
     
     // Check for updates (non-blocking)
     checkForUpdates();
@@ -55,6 +170,13 @@ async function loadData() {
         state.profiles = [];
         state.dependencies = [];
     }
+
+    try {
+        state.dependencyStatus = await invoke('verify_dependencies') || {};
+    } catch (error) {
+        console.error('Error verifying dependencies:', error);
+        state.dependencyStatus = {};
+    }
 }
 
 // Load Settings
@@ -64,6 +186,19 @@ async function loadSettings() {
     } catch (e) {
         state.autostart = false;
     }
+
+    try {
+        state.appSettings = await invoke('get_app_settings') || {};
+    } catch (error) {
+        console.error('Error loading settings:', error);
+        state.appSettings = {};
+    }
+}
+
+async function saveAppSetting(key, value) {
+    const settings = { ...state.appSettings, [key]: value };
+    await invoke('save_app_settings', { settings });
+    state.appSettings = settings;
 }
 
 // Navigation
@@ -79,6 +214,8 @@ function initNavigation() {
             // Update panels
             document.querySelectorAll('.tab-panel').forEach(p => p.classList.remove('active'));
             document.getElementById(`${tab}-panel`).classList.add('active');
+
+            if (tab === 'layout') openLayoutView();
         });
     });
 }
@@ -86,32 +223,48 @@ function initNavigation() {
 // Code Editors
 function initEditors() {
     const config = {
-        theme: 'dracula',
+        theme: EDITOR_THEMES[getThemeBase()],
         lineNumbers: true,
         autoCloseBrackets: true,
         autoCloseTags: true,
         tabSize: 2,
-        indentWithTabs: false
+        indentWithTabs: false,
+        gutters: ['CodeMirror-linenumbers', 'CodeMirror-lint-markers'],
+        extraKeys: { 'Shift-Alt-F': () => formatCode(), 'Ctrl-Space': 'autocomplete' }
     };
 
     state.editors.html = CodeMirror.fromTextArea(document.getElementById('html-editor'), {
         ...config,
-        mode: 'htmlmixed'
+        mode: 'htmlmixed',
+        lint: { getAnnotations: lintEditor('html'), delay: LINT_DELAY }
     });
 
     state.editors.css = CodeMirror.fromTextArea(document.getElementById('css-editor'), {
         ...config,
-        mode: 'css'
+        mode: 'css',
+        lint: { getAnnotations: lintEditor('css'), delay: LINT_DELAY },
+        hintOptions: { hint: hintEditor('css'), completeSingle: false }
     });
 
     state.editors.js = CodeMirror.fromTextArea(document.getElementById('js-editor'), {
         ...config,
-        mode: 'javascript'
+        mode: 'javascript',
+        lint: { getAnnotations: lintEditor('js'), delay: LINT_DELAY },
+        hintOptions: { hint: hintEditor('js'), completeSingle: false }
     });
+    state.editors.css.on('inputRead', showAutoHints);
+    state.editors.js.on('inputRead', showAutoHints);
 
     // Set default content
     setDefaultWidgetCode();
 
+    // Live mode and preview pane
+    Object.values(state.editors).forEach(editor => {
+        editor.on('change', scheduleHotReload);
+        editor.on('change', schedulePreviewRender);
+    });
+    document.getElementById('live-toggle').addEventListener('change', toggleLiveMode);
+
     // Editor tabs
     document.querySelectorAll('.editor-tab').forEach(tab => {
         tab.addEventListener('click', () => {
@@ -174,8 +327,8 @@ function setDefaultWidgetCode() {
         });
 }
 
-updateClock();
-setInterval(updateClock, 1000);`);
+// Runs now and every second while the widget is visible
+dashlayer.every(1000, updateClock);`);
 }
 
 // Event Listeners
@@ -189,8 +342,16 @@ function initEventListeners() {
         document.getElementById('widget-height').value = 200;
         document.getElementById('widget-opacity').value = 100;
         document.getElementById('opacity-value').textContent = '100%';
-        document.getElementById('widget-always-top').checked = true;
+        document.getElementById('widget-layer').value = 'top';
+        document.getElementById('widget-click-through').checked = false;
         document.getElementById('widget-transparent').checked = true;
+        document.getElementById('widget-module').checked = false;
+        state.editorSettingsSchema = [];
+        updateSchemaSummary();
+        state.editorDependencies = [];
+        renderEditorDependencies();
+        updateLiveToggle();
+        updatePreviewFrame();
         
         // Switch to editor
         document.querySelector('[data-tab="editor"]').click();
@@ -199,10 +360,32 @@ function initEventListeners() {
     // Opacity slider
     document.getElementById('widget-opacity').addEventListener('input', (e) => {
         document.getElementById('opacity-value').textContent = `${e.target.value}%`;
+        updatePreviewFrame();
+    });
+
+    // Editor preview pane
+    document.getElementById('preview-pane-btn').addEventListener('click', togglePreviewPane);
+    document.getElementById('preview-reload-btn').addEventListener('click', renderEditorPreview);
+    ['widget-width', 'widget-height', 'widget-transparent'].forEach(id => {
+        document.getElementById(id).addEventListener('input', updatePreviewFrame);
     });
+    document.getElementById('widget-module').addEventListener('change', schedulePreviewRender);
+    document.getElementById('widget-module').addEventListener('change', () => state.editors.js.performLint());
+    window.addEventListener('message', handlePreviewMessage);
+    setupPreviewResize();
+
+    // Settings schema
+    document.getElementById('edit-schema-btn').addEventListener('click', editSettingsSchema);
 
     // Save Widget
-    document.getElementById('save-btn').addEventListener('click', saveWidget);
+    document.getElementById('save-btn').addEventListener('click', () => saveWidget());
+
+    // Revision history
+    document.getElementById('history-btn').addEventListener('click', showRevisionHistory);
+    document.getElementById('format-btn').addEventListener('click', formatCode);
+
+    // Deleted widgets
+    document.getElementById('trash-btn').addEventListener('click', showTrash);
 
     // Preview Widget
     document.getElementById('preview-btn').addEventListener('click', previewWidget);
@@ -210,9 +393,46 @@ function initEventListeners() {
     // New Profile
     document.getElementById('new-profile-btn').addEventListener('click', createProfile);
 
+    // Unlock all widgets for arranging
+    document.getElementById('arrange-toggle').addEventListener('change', toggleArrangeMode);
+
+    // Automatic profile switching
+    document.getElementById('presentation-btn').addEventListener('click', togglePresentationMode);
+    document.getElementById('automation-btn').addEventListener('click', showAutomationLog);
+
+    // Import Profile
+    const profileInput = document.getElementById('profile-input');
+    document.getElementById('import-profile-btn').addEventListener('click', () => profileInput.click());
+    profileInput.addEventListener('change', async () => {
+        const file = profileInput.files[0];
+        profileInput.value = '';
+        if (file) await importProfile(file);
+    });
+
     // Add Dependency
     document.getElementById('add-dep-btn').addEventListener('click', addDependency);
 
+    // Widget packages
+    const packageInput = document.getElementById('package-input');
+    ['import-package-btn', 'import-template-package-btn'].forEach(id => {
+        document.getElementById(id).addEventListener('click', () => packageInput.click());
+    });
+    packageInput.addEventListener('change', async () => {
+        const file = packageInput.files[0];
+        packageInput.value = '';
+        if (file) await importWidgetPackage(file);
+    });
+
+    // Template gallery search and filter
+    document.getElementById('template-search').addEventListener('input', (e) => {
+        state.templateFilter.query = e.target.value.trim().toLowerCase();
+        filterTemplates();
+    });
+    document.getElementById('template-category-filter').addEventListener('change', (e) => {
+        state.templateFilter.category = e.target.value;
+        filterTemplates();
+    });
+
     // Modal close
     document.getElementById('modal-close').addEventListener('click', closeModal);
     document.getElementById('modal-overlay').addEventListener('click', (e) => {
@@ -221,8 +441,10 @@ function initEventListeners() {
 }
 
 // Widget Functions
-async function saveWidget() {
-    const widget = {
+// Widget as currently shown in the editor, saved or not
+function readEditorWidget() {
+    return {
+        ...state.currentWidget, // Keep fields not edited here (autoStart, settings...)
         id: state.currentWidget?.id || Date.now().toString(),
         name: document.getElementById('widget-name').value || 'Unnamed Widget',
         html: state.editors.html.getValue(),
@@ -231,31 +453,70 @@ async function saveWidget() {
         width: parseInt(document.getElementById('widget-width').value) || 300,
         height: parseInt(document.getElementById('widget-height').value) || 200,
         opacity: parseInt(document.getElementById('widget-opacity').value) || 100,
-        alwaysOnTop: document.getElementById('widget-always-top').checked,
+        layer: document.getElementById('widget-layer').value,
+        alwaysOnTop: document.getElementById('widget-layer').value === 'top',
+        clickThrough: document.getElementById('widget-click-through').checked,
         transparent: document.getElementById('widget-transparent').checked,
         x: state.currentWidget?.x || 100,
-        y: state.currentWidget?.y || 100
+        y: state.currentWidget?.y || 100,
+        settingsSchema: state.editorSettingsSchema,
+        settings: state.currentWidget?.settings || {},
+        dependencies: state.editorDependencies,
+        module: document.getElementById('widget-module').checked
     };
+}
+
+// The message is stored with the revision the save creates. Returns whether the widget was saved.
+async function saveWidget(message = null) {
+    const errors = getEditorErrors();
+    if (errors.length) {
+        const shown = errors.slice(0, 3).join('; ') + (errors.length > 3 ? `; and ${errors.length - 3} more` : '');
+        const confirmed = await showConfirm(`The code has ${errors.length === 1 ? 'an error' : `${errors.length} errors`}: ${shown}. Save anyway?`, 'Code Has Errors');
+        if (!confirmed) return false;
+    }
+
+    if (state.appSettings.formatOnSave) {
+        const problems = formatEditors(Object.keys(CODE_LANGUAGES));
+        if (problems.length) {
+            showToast('Saved without formatting. ' + problems.join(' '), 'warning');
+        }
+    }
+
+    const widget = readEditorWidget();
 
     try {
-        await invoke('save_widget', { widget });
+        await invoke('save_widget', { widget, message });
         state.currentWidget = widget;
         await loadData();
         renderWidgets();
         showToast('Widget salvo com sucesso!', 'success');
+        return true;
     } catch (error) {
         console.error('Error saving widget:', error);
         showToast('Erro ao salvar widget: ' + error, 'error');
+        return false;
     }
 }
 
 async function previewWidget() {
-    await saveWidget();
+    const previous = state.currentWidget;
+    const saved = await saveWidget();
     
-    if (!state.currentWidget) return;
+    if (!saved || !state.currentWidget) return;
+    const widget = state.currentWidget;
+
+    // An open window only needs the new code, recreating it would reset it and flash
+    if (previous && state.openWidgets.has(widget.id) && !needsNewWindow(previous, widget)) {
+        await pushHotReload();
+        showToast('Widget updated!', 'success');
+        return;
+    }
 
     try {
-        await invoke('create_widget_window', { widget: state.currentWidget });
+        await invoke('create_widget_window', { widget });
+        state.openWidgets.add(widget.id);
+        state.hotReloadSnapshots[widget.id] = getCodeSnapshot(widget);
+        renderWidgets();
         showToast('Widget opened!', 'success');
     } catch (error) {
         console.error('Error creating widget:', error);
@@ -263,6 +524,536 @@ async function previewWidget() {
     }
 }
 
+// Code Formatting
+// Reindents with the editor's own tab size; malformed code is reported and left untouched
+function formatEditor(lang) {
+    const editor = state.editors[lang];
+    const indent = ' '.repeat(editor.getOption('tabSize'));
+    const source = editor.getValue();
+    const formatted = DashLayerFormatter[lang](source, indent);
+
+    if (formatted !== source) {
+        const cursor = editor.getCursor();
+        editor.setValue(formatted);
+        editor.setCursor({ line: Math.min(cursor.line, editor.lastLine()), ch: 0 });
+    }
+}
+
+// Returns one message per buffer that could not be formatted
+function formatEditors(langs) {
+    const problems = [];
+    langs.forEach(lang => {
+        try {
+            formatEditor(lang);
+        } catch (error) {
+            if (!(error instanceof DashLayerFormatter.FormatError)) throw error;
+            problems.push(`${CODE_LANGUAGES[lang]}: ${error.message}.`);
+        }
+    });
+    return problems;
+}
+
+// Formats the active tab, or every tab when Shift is held
+function formatCode(e) {
+    const active = document.querySelector('.editor-tab.active');
+    const langs = e && e.shiftKey ? Object.keys(CODE_LANGUAGES) : [active.dataset.lang];
+    const problems = formatEditors(langs);
+
+    if (problems.length) {
+        showToast('Could not format. ' + problems.join(' '), 'error');
+    } else {
+        showToast(langs.length > 1 ? 'All files formatted' : `${CODE_LANGUAGES[langs[0]]} formatted`, 'success');
+    }
+}
+
+// Code Diagnostics
+// The widget-module checkbox decides whether JavaScript is parsed as a module
+function checkEditorCode(lang, text) {
+    return DashLayerDiagnostics[lang](text, { module: document.getElementById('widget-module').checked });
+}
+
+// Lint helper for an editor, turning problems into gutter markers and underlines
+function lintEditor(lang) {
+    return (text, options, editor) => checkEditorCode(lang, text).map(({ severity, message, line, column }) => {
+        const row = Math.min(line - 1, editor.lastLine());
+        const length = editor.getLine(row).length;
+        return {
+            from: CodeMirror.Pos(row, Math.min(column, length)),
+            to: CodeMirror.Pos(row, Math.max(length, column + 1)),
+            message,
+            severity
+        };
+    });
+}
+
+// Errors in all three editors, as "JavaScript line 3: Unexpected token"
+function getEditorErrors() {
+    return Object.keys(CODE_LANGUAGES).flatMap(lang => checkEditorCode(lang, state.editors[lang].getValue())
+        .filter(problem => problem.severity === 'error')
+        .map(problem => `${CODE_LANGUAGES[lang]} line ${problem.line}: ${problem.message}`));
+}
+
+// Autocomplete
+// Element ids from the HTML tab, setting keys from the schema and the dashlayer API
+function getHtmlIds() {
+    const ids = DashLayerDiagnostics.ids(state.editors.html.getValue()).map(({ id }) => id);
+    return [...new Set(ids)].map(id => ({ text: id, displayText: '#' + id }));
+}
+
+// Finds what can be completed before the cursor. Bare words are only completed on Ctrl+Space.
+function getCompletions(lang, before, textBefore) {
+    let match;
+
+    if (lang === 'css') {
+        // Only in selectors, '#' in a declaration starts a color
+        const lastBreak = Math.max(textBefore.lastIndexOf('{'), textBefore.lastIndexOf('}'), textBefore.lastIndexOf(';'));
+        const inSelector = lastBreak === -1 || textBefore[lastBreak] === '}' || !textBefore.slice(lastBreak).includes(':');
+        match = before.match(/#([\w-]*)$/);
+        return match && inSelector ? { prefix: match[1], options: getHtmlIds() } : null;
+    }
+
+    if ((match = before.match(/getElementById\(\s*['"`]([\w-]*)$/) || before.match(/querySelector(?:All)?\(\s*['"`][^'"`]*#([\w-]*)$/))) {
+        return { prefix: match[1], options: getHtmlIds() };
+    }
+
+    if ((match = before.match(/\bdashlayer\.settings\.get\(\s*['"`]([\w-]*)$/))) {
+        const options = state.editorSettingsSchema.map(field => ({ text: field.key, displayText: `${field.key} (${field.type})` }));
+        return { prefix: match[1], options };
+    }
+
+    if ((match = before.match(/\bdashlayer((?:\.\w+)*)\.(\w*)$/))) {
+        const members = match[1].split('.').filter(Boolean)
+            .reduce((node, name) => node && typeof node === 'object' ? node[name] : null, DASHLAYER_API);
+        if (!members || typeof members !== 'object') return null;
+
+        const options = Object.entries(members).map(([name, value]) => ({
+            text: name,
+            displayText: name + (typeof value === 'string' ? value : '')
+        }));
+        return { prefix: match[2], options };
+    }
+
+    match = before.match(/(?:^|[^\w.$])([\w$]+)$/);
+    return match && { prefix: match[1], options: [{ text: 'dashlayer', displayText: 'dashlayer' }], manual: true };
+}
+
+function hintEditor(lang) {
+    return (editor) => {
+        const cursor = editor.getCursor();
+        const before = editor.getLine(cursor.line).slice(0, cursor.ch);
+        const textBefore = editor.getRange(CodeMirror.Pos(0, 0), cursor);
+        const completions = getCompletions(lang, before, textBefore);
+        if (!completions) return null;
+
+        const list = completions.options.filter(option => option.text.startsWith(completions.prefix) && option.text !== completions.prefix);
+        if (!list.length) return null;
+
+        return { list, from: CodeMirror.Pos(cursor.line, cursor.ch - completions.prefix.length), to: cursor };
+    };
+}
+
+// Opens the completion list by itself after '.', '#' or an opening quote
+function showAutoHints(editor, change) {
+    if (editor.state.completionActive || !/^[.#'"`]/.test(change.text[0])) return;
+
+    const lang = editor === state.editors.css ? 'css' : 'js';
+    const cursor = editor.getCursor();
+    const before = editor.getLine(cursor.line).slice(0, cursor.ch);
+    const completions = getCompletions(lang, before, editor.getRange(CodeMirror.Pos(0, 0), cursor));
+    if (completions && !completions.manual) editor.showHint();
+}
+
+// Editor Preview
+// Renders the editor contents into a sandboxed iframe, without saving the widget
+function togglePreviewPane() {
+    state.previewOpen = !state.previewOpen;
+    document.getElementById('preview-pane').classList.toggle('open', state.previewOpen);
+    document.getElementById('preview-pane-btn').classList.toggle('active', state.previewOpen);
+    Object.values(state.editors).forEach(editor => editor.refresh());
+
+    if (state.previewOpen) {
+        updatePreviewFrame();
+        renderEditorPreview();
+    } else {
+        document.getElementById('preview-iframe').srcdoc = '';
+    }
+}
+
+function schedulePreviewRender() {
+    if (!state.previewOpen) return;
+
+    clearTimeout(state.previewTimer);
+    state.previewTimer = setTimeout(renderEditorPreview, HOT_RELOAD_DELAY);
+}
+
+async function renderEditorPreview() {
+    if (!state.previewOpen) return;
+
+    // Opacity is applied to the frame, so dragging the slider doesn't restart the widget
+    const widget = { ...readEditorWidget(), opacity: 100 };
+
+    try {
+        const html = await invoke('render_widget_preview', { widget });
+        setPreviewError('');
+        document.getElementById('preview-iframe').srcdoc = html;
+    } catch (error) {
+        console.error('Error rendering preview:', error);
+        setPreviewError(String(error));
+    }
+}
+
+// Shown in the pane toolbar rather than as toasts, since code is often broken mid-edit
+function setPreviewError(text) {
+    const errorEl = document.getElementById('preview-error');
+    errorEl.textContent = text;
+    errorEl.title = text;
+}
+
+// Size, opacity and background follow the Properties/Options inputs
+function updatePreviewFrame() {
+    const width = parseInt(document.getElementById('widget-width').value) || 300;
+    const height = parseInt(document.getElementById('widget-height').value) || 200;
+    const opacity = parseInt(document.getElementById('widget-opacity').value) || 100;
+    const frame = document.getElementById('preview-frame');
+
+    frame.style.width = `${width}px`;
+    frame.style.height = `${height}px`;
+    frame.classList.toggle('checkerboard', document.getElementById('widget-transparent').checked);
+    document.getElementById('preview-iframe').style.opacity = opacity / 100;
+    document.getElementById('preview-size').textContent = `${width} × ${height}`;
+}
+
+// Handles on the preview frame resize the widget by editing the width/height inputs
+function setupPreviewResize() {
+    const frame = document.getElementById('preview-frame');
+    let resize = null;
+
+    frame.querySelectorAll('.preview-handle').forEach(handle => {
+        handle.addEventListener('mousedown', (e) => {
+            resize = {
+                axis: handle.dataset.axis,
+                startX: e.clientX,
+                startY: e.clientY,
+                width: frame.offsetWidth,
+                height: frame.offsetHeight
+            };
+            frame.classList.add('resizing');
+            e.preventDefault();
+        });
+    });
+
+    document.addEventListener('mousemove', (e) => {
+        if (!resize) return;
+
+        const widthInput = document.getElementById('widget-width');
+        const heightInput = document.getElementById('widget-height');
+        if (resize.axis.includes('x')) {
+            widthInput.value = Math.max(parseInt(widthInput.min), Math.round(resize.width + e.clientX - resize.startX));
+        }
+        if (resize.axis.includes('y')) {
+            heightInput.value = Math.max(parseInt(heightInput.min), Math.round(resize.height + e.clientY - resize.startY));
+        }
+        updatePreviewFrame();
+    });
+
+    document.addEventListener('mouseup', () => {
+        resize = null;
+        frame.classList.remove('resizing');
+    });
+}
+
+// Requests and errors posted by the runtime inside the preview iframe
+async function handlePreviewMessage(e) {
+    const iframe = document.getElementById('preview-iframe');
+    const message = e.data || {};
+    const fromEditor = e.source === iframe.contentWindow;
+    const fromThumbnail = [...document.querySelectorAll('.template-thumbnail iframe')]
+        .some(frame => frame.contentWindow === e.source);
+    if ((!fromEditor && !fromThumbnail) || message.source !== 'dashlayer-preview') return;
+
+    if (message.type === 'log') {
+        const { level, message: text, line } = message.entry;
+        if (fromEditor && level === 'error') setPreviewError(line ? `${text} (line ${line})` : text);
+        return;
+    }
+
+    if (message.type === 'invoke') {
+        const reply = { source: 'dashlayer-preview', id: message.id };
+        try {
+            if (!PREVIEW_COMMANDS.includes(message.command)) {
+                throw new Error(`${message.command} is not available in the preview`);
+            }
+            reply.result = await invoke(message.command, message.args);
+        } catch (error) {
+            reply.error = String(error?.message || error);
+        }
+        e.source.postMessage(reply, '*');
+    }
+}
+
+// Revision History
+// Saves that change a widget's code or settings keep a revision in the backend
+async function showRevisionHistory() {
+    const widget = state.currentWidget;
+    if (!widget || !state.widgets.some(w => w.id === widget.id)) {
+        showToast('Save the widget to start its history', 'info');
+        return;
+    }
+
+    let revisions;
+    try {
+        revisions = await invoke('get_widget_revisions', { widgetId: widget.id });
+    } catch (error) {
+        console.error('Error loading revisions:', error);
+        showToast('Error loading revisions: ' + error, 'error');
+        return;
+    }
+
+    state.revisionHistory = { revisions: revisions.reverse(), selected: 0, file: null };
+
+    const modalContent = revisions.length ? `
+        <div class="revision-history">
+            <div class="revision-list" id="revision-list"></div>
+            <div class="revision-diff">
+                <div class="diff-toolbar">
+                    <div class="diff-files" id="diff-files"></div>
+                    <span class="diff-legend">Revision ↔ Editor</span>
+                </div>
+                <div class="diff-view" id="diff-view"></div>
+            </div>
+        </div>
+    ` : '<p class="settings-hint">No revisions yet. Each save that changes the code or settings adds one.</p>';
+
+    const modalFooter = `
+        <button class="btn btn-secondary" onclick="saveWidgetWithMessage()">Save with Message...</button>
+        ${revisions.length ? '<button class="btn btn-primary" onclick="restoreRevision()">Restore This Revision</button>' : ''}
+    `;
+
+    showModal(`History: ${widget.name}`, modalContent, modalFooter);
+    document.getElementById('modal').classList.add('modal-wide');
+    if (revisions.length) renderRevisionHistory();
+}
+
+// Files compared in the history diff, as text
+function getRevisionFiles(code) {
+    return {
+        html: code.html || '',
+        css: code.css || '',
+        js: code.js || '',
+        settings: JSON.stringify(code.settings || {}, null, 2)
+    };
+}
+
+function formatRevisionTime(revision) {
+    return new Date(revision.savedAt).toLocaleString('en-US');
+}
+
+function renderRevisionHistory() {
+    const history = state.revisionHistory;
+    const revision = history.revisions[history.selected];
+    const before = getRevisionFiles(revision);
+    const after = getRevisionFiles(readEditorWidget());
+    const changed = Object.keys(before).filter(file => before[file] !== after[file]);
+    if (!history.file) history.file = changed[0] || 'html';
+
+    document.getElementById('revision-list').innerHTML = history.revisions.map((item, index) => `
+        <button class="revision-item ${index === history.selected ? 'active' : ''}" onclick="selectRevision(${index})">
+            <span class="revision-time">${escapeHtml(formatRevisionTime(item))}${index === 0 ? ' <span class="revision-latest">Latest</span>' : ''}</span>
+            <span class="revision-message">${escapeHtml(item.message || 'No message')}</span>
+        </button>
+    `).join('');
+
+    document.getElementById('diff-files').innerHTML = Object.keys(before).map(file => `
+        <button class="btn btn-ghost btn-sm ${file === history.file ? 'active' : ''}" onclick="selectRevisionFile('${file}')">
+            ${file === 'settings' ? 'Settings' : file.toUpperCase()}${changed.includes(file) ? ' •' : ''}
+        </button>
+    `).join('');
+
+    const view = document.getElementById('diff-view');
+    view.innerHTML = before[history.file] === after[history.file]
+        ? '<p class="diff-same">No differences from the editor</p>'
+        : renderSideBySideDiff(diffLines(before[history.file], after[history.file]));
+}
+
+function selectRevision(index) {
+    state.revisionHistory.selected = index;
+    state.revisionHistory.file = null;
+    renderRevisionHistory();
+}
+
+function selectRevisionFile(file) {
+    state.revisionHistory.file = file;
+    renderRevisionHistory();
+}
+
+// Line diff from the longest common subsequence: [{ type: 'same' | 'removed' | 'added', text }]
+function diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+        return [...a.map(text => ({ type: 'removed', text })), ...b.map(text => ({ type: 'added', text }))];
+    }
+
+    // common[i][j]: length of the LCS of a[i..] and b[j..]
+    const common = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            lines.push({ type: 'same', text: a[i++] });
+            j++;
+        } else if (j < b.length && (i === a.length || common[i][j + 1] >= common[i + 1][j])) {
+            lines.push({ type: 'added', text: b[j++] });
+        } else {
+            lines.push({ type: 'removed', text: a[i++] });
+        }
+    }
+    return lines;
+}
+
+// Removed lines on the left, added lines on the right, changed blocks side by side
+function renderSideBySideDiff(lines) {
+    const rows = [];
+    let left = 0;
+    let right = 0;
+
+    for (let index = 0; index < lines.length;) {
+        if (lines[index].type === 'same') {
+            rows.push([{ number: ++left, ...lines[index] }, { number: ++right, ...lines[index] }]);
+            index++;
+            continue;
+        }
+
+        const removed = [];
+        const added = [];
+        while (index < lines.length && lines[index].type !== 'same') {
+            const line = lines[index++];
+            if (line.type === 'removed') removed.push({ number: ++left, ...line });
+            else added.push({ number: ++right, ...line });
+        }
+        for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+            rows.push([removed[k] || null, added[k] || null]);
+        }
+    }
+
+    const cell = (line) => line
+        ? `<td class="diff-number">${line.number}</td><td class="diff-line diff-${line.type}">${escapeHtml(line.text) || ' '}</td>`
+        : '<td class="diff-number"></td><td class="diff-line diff-empty"></td>';
+
+    return `<table class="diff-table">${rows.map(([a, b]) => `<tr>${cell(a)}${cell(b)}</tr>`).join('')}</table>`;
+}
+
+// Puts the revision into the editor and saves it, which records it as the newest revision
+async function restoreRevision() {
+    const history = state.revisionHistory;
+    const revision = history.revisions[history.selected];
+
+    state.editors.html.setValue(revision.html);
+    state.editors.css.setValue(revision.css);
+    state.editors.js.setValue(revision.js);
+    state.currentWidget = { ...state.currentWidget, settings: revision.settings || {} };
+
+    closeModal();
+    if (await saveWidget(`Restored revision from ${formatRevisionTime(revision)}`)) {
+        await pushWidgetSettings(state.currentWidget);
+    }
+}
+
+async function saveWidgetWithMessage() {
+    const message = await showPrompt('Describe this version:', '', 'Save with Message');
+    if (message === null) return;
+
+    await saveWidget(message);
+}
+
+window.selectRevision = selectRevision;
+window.selectRevisionFile = selectRevisionFile;
+window.restoreRevision = restoreRevision;
+window.saveWidgetWithMessage = saveWidgetWithMessage;
+
+// Hot Reload
+// Window options can't change in place, code can
+function needsNewWindow(previous, widget) {
+    return ['width', 'height', 'opacity', 'layer', 'clickThrough', 'transparent', 'module']
+        .some(key => previous[key] !== widget[key])
+        || (previous.dependencies || []).join() !== (widget.dependencies || []).join();
+}
+
+function getCodeSnapshot(code) {
+    return { html: code.html || '', css: code.css || '', js: code.js || '' };
+}
+
+function updateLiveToggle() {
+    const toggle = document.getElementById('live-toggle');
+    const widgetId = state.currentWidget?.id;
+    toggle.checked = Boolean(widgetId && state.liveWidgets.has(widgetId));
+    toggle.closest('.live-toggle').classList.toggle('active', toggle.checked);
+}
+
+async function toggleLiveMode(e) {
+    const widget = state.currentWidget;
+    if (!widget) {
+        e.target.checked = false;
+        showToast('Save the widget before enabling live mode', 'warning');
+        return;
+    }
+
+    if (e.target.checked) {
+        state.liveWidgets.add(widget.id);
+        if (!state.openWidgets.has(widget.id)) {
+            await openWidget(widget.id);
+        }
+        await pushHotReload();
+    } else {
+        state.liveWidgets.delete(widget.id);
+    }
+    updateLiveToggle();
+}
+
+function scheduleHotReload() {
+    const widgetId = state.currentWidget?.id;
+    if (!widgetId || !state.liveWidgets.has(widgetId)) return;
+
+    clearTimeout(state.hotReloadTimer);
+    state.hotReloadTimer = setTimeout(pushHotReload, HOT_RELOAD_DELAY);
+}
+
+// Send the editor buffers to the open widget window.
+// Only CSS is swapped when it alone changed; HTML/JS changes re-mount and re-run.
+async function pushHotReload() {
+    const widget = state.currentWidget;
+    if (!widget || !state.openWidgets.has(widget.id)) return;
+
+    const code = {
+        html: state.editors.html.getValue(),
+        css: state.editors.css.getValue(),
+        js: state.editors.js.getValue()
+    };
+    const last = state.hotReloadSnapshots[widget.id] || {};
+    const payload = { widgetId: widget.id };
+
+    if (code.css !== last.css) payload.css = code.css;
+    if (code.html !== last.html || code.js !== last.js) {
+        payload.html = code.html;
+        payload.js = code.js;
+    }
+    if (Object.keys(payload).length === 1) return;
+
+    try {
+        await emitTo(widget.id, 'dashlayer://hot-reload', payload);
+        state.hotReloadSnapshots[widget.id] = code;
+    } catch (error) {
+        console.error('Error pushing hot reload:', error);
+    }
+}
+
 function editWidget(id) {
     const widget = state.widgets.find(w => w.id === id);
     if (!widget) return;
@@ -274,8 +1065,16 @@ function editWidget(id) {
     document.getElementById('widget-height').value = widget.height;
     document.getElementById('widget-opacity').value = widget.opacity;
     document.getElementById('opacity-value').textContent = `${widget.opacity}%`;
-    document.getElementById('widget-always-top').checked = widget.alwaysOnTop;
+    document.getElementById('widget-layer').value = getWidgetLayer(widget);
+    document.getElementById('widget-click-through').checked = Boolean(widget.clickThrough);
     document.getElementById('widget-transparent').checked = widget.transparent;
+    document.getElementById('widget-module').checked = Boolean(widget.module);
+    state.editorSettingsSchema = widget.settingsSchema || [];
+    updateSchemaSummary();
+    state.editorDependencies = [...(widget.dependencies || [])];
+    renderEditorDependencies();
+    updateLiveToggle();
+    updatePreviewFrame();
     
     state.editors.html.setValue(widget.html || '');
     state.editors.css.setValue(widget.css || '');
@@ -302,6 +1101,8 @@ async function openWidget(id) {
         
         await invoke('create_widget_window', { widget });
         state.openWidgets.add(id);
+        state.interactiveWidgets.delete(id); // New windows start click-through again
+        state.hotReloadSnapshots[id] = getCodeSnapshot(widget);
         renderWidgets(); // Update UI to show open state
         showToast('Widget opened!', 'success');
     } catch (error) {
@@ -316,32 +1117,248 @@ async function openWidget(id) {
     }
 }
 
-async function closeWidget(id) {
-    try {
-        await invoke('close_widget_window', { widgetId: id });
-        state.openWidgets.delete(id);
-        renderWidgets();
-        showToast('Widget closed!', 'success');
-    } catch (error) {
-        state.openWidgets.delete(id);
-        renderWidgets();
+// Widget Console
+// Console output and errors forwarded by the runtime inside widget windows
+function listenForWidgetLogs() {
+    listen('dashlayer://widget-log', (event) => {
+        if (event.payload?.widgetId) addWidgetLog(event.payload);
+    }).catch(error => console.error('Failed to listen for widget logs:', error));
+}
+
+function addWidgetLog(entry) {
+    const id = entry.widgetId;
+    const logs = state.widgetLogs[id] || (state.widgetLogs[id] = []);
+    logs.push(entry);
+    if (logs.length > MAX_LOG_ENTRIES) logs.splice(0, logs.length - MAX_LOG_ENTRIES);
+
+    if (state.consoleWidgetId === id) {
+        renderWidgetConsole();
+    } else if (entry.level === 'error') {
+        state.unseenErrors[id] = (state.unseenErrors[id] || 0) + 1;
+        updateErrorBadge(id);
     }
 }
 
-async function deleteWidget(id) {
-    if (!await showConfirm('Are you sure you want to delete this widget?', 'Delete Widget')) return;
+function renderErrorBadge(id) {
+    const errors = state.unseenErrors[id] || 0;
+    if (!errors) return '';
+    return `<span class="widget-card-badge badge-error" onclick="showWidgetConsole('${id}')" title="Show console">${errors} ${errors === 1 ? 'error' : 'errors'}</span>`;
+}
 
-    try {
-        await invoke('delete_widget', { widgetId: id });
-        await loadData();
+// Widgets can log errors in bursts, so only the badge on their card is redrawn
+function updateErrorBadge(id) {
+    const badges = document.querySelector(`.widget-card[data-id="${id}"] .widget-card-badges`);
+    if (!badges) return;
+
+    badges.querySelector('.badge-error')?.remove();
+    badges.insertAdjacentHTML('beforeend', renderErrorBadge(id));
+}
+
+function showWidgetConsole(id) {
+    const widget = state.widgets.find(w => w.id === id);
+    if (!widget) return;
+
+    delete state.unseenErrors[id];
+    updateErrorBadge(id);
+
+    const modalContent = `
+        <div class="console-toolbar">
+            <select id="console-level" class="input" onchange="renderWidgetConsole()">
+                <option value="">All levels</option>
+                <option value="error">Errors</option>
+                <option value="warn">Warnings</option>
+                <option value="info">Info</option>
+                <option value="log">Log</option>
+                <option value="debug">Debug</option>
+            </select>
+        </div>
+        <div class="widget-console" id="widget-console"></div>
+    `;
+    
+    const modalFooter = `
+        <button class="btn btn-secondary" onclick="clearWidgetLog('${id}')">Clear</button>
+        <button class="btn btn-primary" onclick="closeModal()">Close</button>
+    `;
+    
+    showModal(`Console - ${widget.name}`, modalContent, modalFooter);
+    state.consoleWidgetId = id;
+    renderWidgetConsole();
+}
+
+function renderWidgetConsole() {
+    const container = document.getElementById('widget-console');
+    const id = state.consoleWidgetId;
+    if (!container || !id) return;
+
+    const level = document.getElementById('console-level').value;
+    const logs = (state.widgetLogs[id] || []).filter(entry => !level || entry.level === level);
+
+    if (logs.length === 0) {
+        container.innerHTML = '<p class="console-empty">No output yet. Console messages and errors from the widget window show up here.</p>';
+        return;
+    }
+
+    // Lines map to the JavaScript tab of the editor
+    container.innerHTML = logs.map(entry => {
+        const location = entry.line
+            ? `<button class="console-location" onclick="goToWidgetLine('${id}', ${entry.line}, ${entry.column || 1})">line ${entry.line}</button>`
+            : entry.file ? `<span class="console-location">${escapeHtml(entry.file)}</span>` : '';
+
+        return `
+            <div class="console-entry level-${escapeAttr(entry.level)}">
+                <span class="console-time">${new Date(entry.timestamp).toLocaleTimeString('en-US', { hour12: false })}</span>
+                <span class="console-level">${escapeHtml(entry.level)}</span>
+                <span class="console-message">${escapeHtml(entry.message)}</span>
+                ${location}
+            </div>
+        `;
+    }).join('');
+    container.scrollTop = container.scrollHeight;
+}
+
+function clearWidgetLog(id) {
+    delete state.widgetLogs[id];
+    renderWidgetConsole();
+}
+
+function goToWidgetLine(id, line, column) {
+    closeModal();
+    if (state.currentWidget?.id !== id) editWidget(id);
+    document.querySelector('[data-tab="editor"]').click();
+    document.querySelector('.editor-tab[data-lang="js"]').click();
+
+    const editor = state.editors.js;
+    const position = { line: line - 1, ch: Math.max(0, column - 1) };
+    editor.setCursor(position);
+    editor.scrollIntoView(position, 100);
+    editor.focus();
+}
+
+window.showWidgetConsole = showWidgetConsole;
+window.renderWidgetConsole = renderWidgetConsole;
+window.clearWidgetLog = clearWidgetLog;
+window.goToWidgetLine = goToWidgetLine;
+
+async function closeWidget(id) {
+    try {
+        await invoke('close_widget_window', { widgetId: id });
+        state.openWidgets.delete(id);
+        state.interactiveWidgets.delete(id);
+        renderWidgets();
+        showToast('Widget closed!', 'success');
+    } catch (error) {
+        state.openWidgets.delete(id);
+        renderWidgets();
+    }
+}
+
+async function deleteWidget(id) {
+    if (!await showConfirm('Move this widget to the trash?', 'Delete Widget')) return;
+
+    try {
+        await invoke('delete_widget', { widgetId: id });
+        state.openWidgets.delete(id);
+        delete state.widgetLogs[id];
+        delete state.unseenErrors[id];
+        await loadData();
+        renderWidgets();
+        showToast('Widget moved to the trash', 'success', { label: 'Undo', onClick: () => restoreWidget(id) });
+    } catch (error) {
+        console.error('Error deleting widget:', error);
+        showToast('Error deleting widget: ' + error, 'error');
+    }
+}
+
+// Trash
+// Deleted widgets keep their storage and history until they're deleted forever
+async function showTrash() {
+    let trash;
+    try {
+        trash = await invoke('get_trash');
+    } catch (error) {
+        console.error('Error loading trash:', error);
+        showToast('Error loading trash: ' + error, 'error');
+        return;
+    }
+
+    trash.sort((a, b) => b.deletedAt - a.deletedAt);
+
+    const modalContent = trash.length ? `
+        <div class="trash-list">
+            ${trash.map(({ widget, deletedAt }) => `
+                <div class="trash-item">
+                    <div class="trash-info">
+                        <strong>${escapeHtml(widget.name)}</strong>
+                        <span>Deleted ${escapeHtml(new Date(deletedAt).toLocaleString('en-US'))}</span>
+                    </div>
+                    <button class="btn btn-secondary btn-sm" onclick="restoreWidget('${escapeAttr(widget.id)}')">Restore</button>
+                    <button class="btn btn-ghost btn-sm" onclick="purgeWidget('${escapeAttr(widget.id)}')" title="Delete forever">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M3 6h18M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+                        </svg>
+                    </button>
+                </div>
+            `).join('')}
+        </div>
+    ` : '<p class="settings-hint">The trash is empty.</p>';
+
+    const modalFooter = `
+        ${trash.length ? '<button class="btn btn-danger" onclick="emptyTrash()">Empty Trash</button>' : ''}
+        <button class="btn btn-primary" onclick="closeModal()">Close</button>
+    `;
+
+    showModal('Trash', modalContent, modalFooter);
+}
+
+async function restoreWidget(id) {
+    try {
+        const widget = await invoke('restore_widget', { widgetId: id });
+        await loadData();
         renderWidgets();
-        showToast('Widget deleted!', 'success');
+        if (document.querySelector('.trash-list')) await showTrash();
+        showToast(`"${widget.name}" restored!`, 'success');
+    } catch (error) {
+        console.error('Error restoring widget:', error);
+        showToast('Error restoring widget: ' + error, 'error');
+    }
+}
+
+async function purgeWidget(id) {
+    if (!await showConfirm('Delete this widget forever? Its saved data and history are removed too.', 'Delete Forever')) {
+        await showTrash();
+        return;
+    }
+
+    try {
+        await invoke('purge_widget', { widgetId: id });
+        await showTrash();
+        showToast('Widget deleted forever', 'success');
     } catch (error) {
         console.error('Error deleting widget:', error);
         showToast('Error deleting widget: ' + error, 'error');
     }
 }
 
+async function emptyTrash() {
+    if (!await showConfirm('Delete every widget in the trash forever?', 'Empty Trash')) {
+        await showTrash();
+        return;
+    }
+
+    try {
+        await invoke('empty_trash');
+        closeModal();
+        showToast('Trash emptied', 'success');
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+        showToast('Error emptying trash: ' + error, 'error');
+    }
+}
+
+window.restoreWidget = restoreWidget;
+window.purgeWidget = purgeWidget;
+window.emptyTrash = emptyTrash;
+
 function renderWidgets() {
     const container = document.getElementById('widgets-container');
     if (!container) return;
@@ -373,6 +1390,7 @@ function renderWidgets() {
     if (empty) empty.style.display = 'none';
     container.innerHTML = state.widgets.map(widget => {
         const isOpen = state.openWidgets.has(widget.id);
+        const interactive = state.interactiveWidgets.has(widget.id);
         const openButton = isOpen 
             ? `<button class="btn btn-warning btn-sm" onclick="closeWidget('${widget.id}')" title="Close widget">
                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -388,14 +1406,18 @@ function renderWidgets() {
                 </button>`;
         
         return `
-        <div class="widget-card ${isOpen ? 'widget-open' : ''}">
+        <div class="widget-card ${isOpen ? 'widget-open' : ''}" data-id="${escapeAttr(widget.id)}">
             <div class="widget-card-header">
                 <span class="widget-card-title">${escapeHtml(widget.name)}</span>
                 ${isOpen ? '<span class="widget-status-dot" title="Widget active"></span>' : ''}
             </div>
             <div class="widget-card-badges">
                 ${widget.autoStart ? '<span class="widget-card-badge">Auto</span>' : ''}
+                ${widget.locked ? '<span class="widget-card-badge">Locked</span>' : ''}
+                ${getWidgetLayer(widget) === 'desktop' ? '<span class="widget-card-badge">Desktop</span>' : ''}
+                ${widget.clickThrough ? '<span class="widget-card-badge">Click-through</span>' : ''}
                 ${isOpen ? '<span class="widget-card-badge badge-success">Active</span>' : ''}
+                ${renderErrorBadge(widget.id)}
             </div>
             <div class="widget-card-info">
                 <span class="widget-card-stat">
@@ -431,6 +1453,40 @@ function renderWidgets() {
                         <polyline points="8 6 2 12 8 18"/>
                     </svg>
                 </button>
+                <button class="btn btn-secondary btn-sm" onclick="toggleWidgetLock('${widget.id}')" title="${widget.locked ? 'Unlock (allow moving and resizing)' : 'Lock in place'}">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <rect x="3" y="11" width="18" height="11" rx="2"/>
+                        <path d="${widget.locked ? 'M7 11V7a5 5 0 0 1 10 0v4' : 'M7 11V7a5 5 0 0 1 9.9-1'}"/>
+                    </svg>
+                </button>
+                <button class="btn btn-secondary btn-sm" onclick="saveAsTemplate('${widget.id}')" title="Save as template">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <rect x="3" y="3" width="18" height="18" rx="2"/>
+                        <line x1="9" y1="9" x2="15" y2="9"/>
+                        <line x1="9" y1="13" x2="15" y2="13"/>
+                        <line x1="9" y1="17" x2="13" y2="17"/>
+                    </svg>
+                </button>
+                <button class="btn btn-secondary btn-sm" onclick="exportWidgetPackage('${widget.id}')" title="Export package">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                        <polyline points="7 10 12 15 17 10"/>
+                        <line x1="12" y1="15" x2="12" y2="3"/>
+                    </svg>
+                </button>
+                <button class="btn btn-secondary btn-sm" onclick="showWidgetConsole('${widget.id}')" title="Console">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="4 17 10 11 4 5"/>
+                        <line x1="12" y1="19" x2="20" y2="19"/>
+                    </svg>
+                </button>
+                ${isOpen && widget.clickThrough ? `
+                <button class="btn btn-sm ${interactive ? 'btn-warning' : 'btn-secondary'}" onclick="toggleWidgetInteractive('${widget.id}')" title="${interactive ? 'Make click-through again' : 'Make interactive for a minute'}">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M3 3l7.07 16.97 2.51-7.39 7.39-2.51L3 3z"/>
+                        <path d="M13 13l6 6"/>
+                    </svg>
+                </button>` : ''}
                 ${openButton}
                 <button class="btn btn-ghost btn-sm" onclick="deleteWidget('${widget.id}')" title="Delete">
                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -447,38 +1503,192 @@ async function createProfile() {
     const name = await showPrompt('Enter profile name:', '', 'Create Profile');
     if (!name) return;
 
-    const profile = {
+    try {
+        const profile = {
+            id: Date.now().toString(),
+            name: name,
+            widgets: [...state.widgets],
+            dependencies: [...state.dependencies],
+            activeWidgets: await invoke('get_open_widgets'),
+            createdAt: new Date().toISOString()
+        };
+
+        await invoke('save_profile', { profile });
+        await loadData();
+        renderProfiles();
+        showToast('Profile created!', 'success');
+    } catch (error) {
+        console.error('Error creating profile:', error);
+        showToast('Error creating profile: ' + error, 'error');
+    }
+}
+
+// Switch the desktop to a profile: the current layout is auto-snapshotted first,
+// then the backend closes/opens windows to match. Undo switches back to the snapshot.
+async function loadProfile(id, { snapshot = true } = {}) {
+    const profile = state.profiles.find(p => p.id === id);
+    if (!profile) return false;
+
+    try {
+        const autoSnapshot = snapshot ? await saveAutoSnapshot(profile) : null;
+        const { openWidgets, failedWidgets } = await invoke('switch_profile', { profileId: id });
+        await loadData();
+        setOpenWidgets(openWidgets);
+        renderWidgets();
+        renderProfiles();
+        renderDependencies();
+
+        const undo = autoSnapshot && {
+            label: 'Undo',
+            onClick: () => loadProfile(autoSnapshot.id, { snapshot: false })
+        };
+        showToast(`Profile "${profile.name}" loaded!`, 'success', undo);
+        if (failedWidgets.length) {
+            showToast(`Some widgets could not be opened: ${failedWidgets.join('; ')}`, 'error');
+        }
+        return true;
+    } catch (error) {
+        console.error('Error loading profile:', error);
+        showToast('Error loading profile: ' + error, 'error');
+        return false;
+    }
+}
+
+// Current widgets, dependencies and open windows, saved as a hidden-away profile
+async function saveAutoSnapshot(target) {
+    const snapshot = {
         id: Date.now().toString(),
-        name: name,
+        name: `Before "${target.name}"`,
         widgets: [...state.widgets],
         dependencies: [...state.dependencies],
+        activeWidgets: await invoke('get_open_widgets'),
+        autoSnapshot: true,
         createdAt: new Date().toISOString()
     };
+    await invoke('save_profile', { profile: snapshot });
+
+    // Keep only the most recent snapshots
+    const older = state.profiles
+        .filter(p => p.autoSnapshot && p.id !== target.id)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(MAX_AUTO_SNAPSHOTS - 1);
+    for (const old of older) {
+        await invoke('delete_profile', { profileId: old.id });
+    }
+
+    return snapshot;
+}
 
+// Replace the tracked open windows with what the backend reports
+function setOpenWidgets(ids) {
+    state.openWidgets = new Set(ids);
+    state.hotReloadSnapshots = {};
+    state.widgets
+        .filter(widget => state.openWidgets.has(widget.id))
+        .forEach(widget => {
+            state.hotReloadSnapshots[widget.id] = getCodeSnapshot(widget);
+        });
+    state.liveWidgets.forEach(id => {
+        if (!state.openWidgets.has(id)) state.liveWidgets.delete(id);
+    });
+}
+
+async function syncOpenWidgets() {
     try {
-        await invoke('save_profile', { profile });
+        setOpenWidgets(await invoke('get_open_widgets'));
+        renderWidgets();
+    } catch (error) {
+        console.error('Error reading open widgets:', error);
+    }
+}
+
+async function exportProfile(id) {
+    try {
+        const path = await invoke('export_profile', { profileId: id });
+        showToast(`Profile saved to ${path}`, 'success');
+    } catch (error) {
+        console.error('Error exporting profile:', error);
+        showToast('Error exporting profile: ' + error, 'error');
+    }
+}
+
+async function importProfile(file) {
+    try {
+        const content = await file.text();
+        validateImportedWidgets(JSON.parse(content).profile?.widgets || []);
+        const { profile, renamedWidgets } = await invoke('import_profile', { content });
         await loadData();
         renderProfiles();
-        showToast('Profile created!', 'success');
+        showToast(`Profile "${profile.name}" imported!`, 'success');
+        if (renamedWidgets.length) {
+            showToast(`New IDs given to ${renamedWidgets.length} widget(s) already used here: ${renamedWidgets.join(', ')}`, 'info');
+        }
     } catch (error) {
-        console.error('Error creating profile:', error);
-        showToast('Error creating profile: ' + error, 'error');
+        console.error('Error importing profile:', error);
+        showToast('Error importing profile: ' + error, 'error');
     }
 }
 
-async function loadProfile(id) {
+// Pick widgets from a profile to add to the current set, instead of loading all of it
+function mergeProfile(id) {
     const profile = state.profiles.find(p => p.id === id);
     if (!profile) return;
 
+    if (!profile.widgets?.length) {
+        showToast('This profile has no widgets', 'warning');
+        return;
+    }
+
+    const modalContent = `
+        <div class="merge-widget-list">
+            ${profile.widgets.map(widget => {
+                const exists = state.widgets.some(w => w.id === widget.id);
+                return `
+                    <label class="merge-widget">
+                        <input type="checkbox" value="${escapeAttr(widget.id)}" checked>
+                        <span class="merge-widget-name">${escapeHtml(widget.name)}</span>
+                        <span class="merge-widget-size">${widget.width}x${widget.height}</span>
+                        <span class="merge-widget-status ${exists ? 'exists' : ''}">${exists ? 'In current set' : 'New'}</span>
+                    </label>
+                `;
+            }).join('')}
+        </div>
+        <div class="form-group">
+            <label>Widgets already in the current set</label>
+            <select class="input" id="merge-replace">
+                <option value="true">Replace them</option>
+                <option value="false">Keep both (add a copy)</option>
+            </select>
+        </div>
+    `;
+    
+    const modalFooter = `
+        <button class="btn btn-secondary" onclick="closeModal()">Cancel</button>
+        <button class="btn btn-primary" onclick="confirmMergeProfile('${id}')">Merge</button>
+    `;
+    
+    showModal(`Merge "${profile.name}"`, modalContent, modalFooter);
+}
+
+async function confirmMergeProfile(id) {
+    const widgetIds = [...document.querySelectorAll('.merge-widget input:checked')].map(input => input.value);
+    const replaceExisting = document.getElementById('merge-replace').value === 'true';
+
+    if (widgetIds.length === 0) {
+        showToast('Select at least one widget', 'warning');
+        return;
+    }
+
     try {
-        await invoke('load_profile', { profile });
+        const count = await invoke('merge_profile', { profileId: id, widgetIds, replaceExisting });
+        closeModal();
         await loadData();
         renderWidgets();
         renderDependencies();
-        showToast(`Profile "${profile.name}" loaded!`, 'success');
+        showToast(`${count} widget(s) merged into the current set`, 'success');
     } catch (error) {
-        console.error('Error loading profile:', error);
-        showToast('Error loading profile: ' + error, 'error');
+        console.error('Error merging profile:', error);
+        showToast('Error merging profile: ' + error, 'error');
     }
 }
 
@@ -508,18 +1718,35 @@ function renderProfiles() {
     }
 
     empty.style.display = 'none';
-    container.innerHTML = state.profiles.map(profile => `
-        <div class="profile-card">
+    // Auto-snapshots go after the user's own profiles
+    const profiles = [...state.profiles].sort((a, b) => Number(Boolean(a.autoSnapshot)) - Number(Boolean(b.autoSnapshot)));
+
+    container.innerHTML = profiles.map(profile => `
+        <div class="profile-card ${profile.autoSnapshot ? 'profile-snapshot' : ''}">
             <div class="profile-card-header">
                 <span class="profile-card-title">${escapeHtml(profile.name)}</span>
+                ${profile.autoSnapshot ? '<span class="widget-card-badge" title="Saved automatically before a profile switch">Auto-snapshot</span>' : ''}
             </div>
             <div class="profile-card-meta">
-                ${profile.widgets?.length || 0} widgets • Created on ${formatDate(profile.createdAt)}
+                ${profile.widgets?.length || 0} widgets • ${profile.activeWidgets?.length || 0} active • Created on ${formatDate(profile.createdAt)}
             </div>
             <div class="profile-card-actions">
                 <button class="btn btn-primary btn-sm" onclick="loadProfile('${profile.id}')">
                     Load
                 </button>
+                <button class="btn btn-secondary btn-sm" onclick="editProfileRules('${profile.id}')" title="Switch to this profile automatically">
+                    Rules${profile.rules?.length ? ` (${profile.rules.length})` : ''}
+                </button>
+                <button class="btn btn-secondary btn-sm" onclick="mergeProfile('${profile.id}')" title="Add some of its widgets to the current set">
+                    Merge
+                </button>
+                <button class="btn btn-secondary btn-sm" onclick="exportProfile('${profile.id}')" title="Export to file">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                        <polyline points="7 10 12 15 17 10"/>
+                        <line x1="12" y1="15" x2="12" y2="3"/>
+                    </svg>
+                </button>
                 <button class="btn btn-ghost btn-sm" onclick="deleteProfile('${profile.id}')" title="Delete">
                     <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M3 6h18M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
@@ -530,87 +1757,661 @@ function renderProfiles() {
     `).join('');
 }
 
-// Dependency Functions
-async function addDependency() {
-    const url = document.getElementById('dep-url').value.trim();
-    if (!url) {
-        showToast('Please enter a valid URL', 'warning');
+// Automatic Profile Switching
+// Rules are checked periodically and when the presentation toggle, the monitor layout or a
+// profile's rules change.
+// A profile is only applied when the matching rule changes, so a manual switch isn't undone
+// until the conditions do.
+function startProfileRules() {
+    updateAutomationButtons();
+    // A rule that already matches at launch was applied in an earlier session, and loading it
+    // again would replace the widgets with the profile snapshot
+    state.ruleMatch = getRuleMatchKey(findRuleMatch(new Date(), state.monitorCount));
+    setInterval(checkProfileRules, RULE_CHECK_INTERVAL);
+}
+
+function getRuleMatchKey(match) {
+    return match ? `${match.profile.id}:${match.rule.kind}` : null;
+}
+
+async function checkProfileRules() {
+    // A check requested while a switch is in progress runs once it finishes
+    if (state.ruleCheckRunning) {
+        state.ruleCheckPending = true;
         return;
     }
+    state.ruleCheckRunning = true;
 
-    const dependency = {
-        id: Date.now().toString(),
-        url: url,
-        name: url.split('/').pop() || url,
-        cached: false,
-        addedAt: new Date().toISOString()
-    };
+    try {
+        const layoutChanged = state.monitorLayoutChanged;
+        state.monitorLayoutChanged = false;
+
+        if (state.appSettings.automationPaused) return;
+
+        const match = findRuleMatch(new Date(), state.monitorCount);
+        const key = getRuleMatchKey(match);
+        const relayout = layoutChanged && match?.rule.kind === 'monitors';
+        if (key === state.ruleMatch && !relayout) return;
+
+        state.ruleMatch = key;
+        if (!match) return;
+
+        const loaded = await loadProfile(match.profile.id);
+        logAutoSwitch(match.profile, match.rule, loaded);
+    } finally {
+        state.ruleCheckRunning = false;
+        if (state.ruleCheckPending) {
+            state.ruleCheckPending = false;
+            checkProfileRules();
+        }
+    }
+}
 
+// Monitor layout
+// Polled more often than the rules so anchored widgets follow resolution changes quickly
+function startMonitorWatch() {
+    setInterval(checkMonitorLayout, MONITOR_CHECK_INTERVAL);
+    return checkMonitorLayout();
+}
+
+async function checkMonitorLayout() {
+    let monitors;
     try {
-        await invoke('add_dependency', { dependency });
-        document.getElementById('dep-url').value = '';
-        await loadData();
-        renderDependencies();
-        showToast('Dependency added!', 'success');
+        monitors = await invoke('get_monitors');
     } catch (error) {
-        console.error('Error adding dependency:', error);
-        showToast('Error adding dependency: ' + error, 'error');
+        console.error('Error reading monitors:', error);
+        return;
     }
-}
 
-async function removeDependency(id) {
+    const layout = monitors.map(m => `${m.x},${m.y},${m.width}x${m.height}@${m.scaleFactor}`).sort().join('|');
+    if (layout === state.monitorLayout) return;
+
+    const firstCheck = state.monitorLayout === null;
+    state.monitorLayout = layout;
+    state.monitorCount = monitors.length;
+    if (firstCheck) return;
+
     try {
-        await invoke('remove_dependency', { dependencyId: id });
-        await loadData();
-        renderDependencies();
-        showToast('Dependency removed!', 'success');
+        await invoke('reposition_widgets');
     } catch (error) {
-        console.error('Error removing dependency:', error);
-        showToast('Error removing dependency: ' + error, 'error');
+        console.error('Error repositioning widgets:', error);
     }
+
+    state.monitorLayoutChanged = true;
+    checkProfileRules();
 }
 
-function renderDependencies() {
-    const container = document.getElementById('dependencies-list');
-    const empty = document.getElementById('empty-deps');
+// Presentation rules win over monitor rules, which win over schedules
+function findRuleMatch(now, monitorCount) {
+    for (const kind of ['presentation', 'monitors', 'schedule']) {
+        for (const profile of state.profiles) {
+            const rule = (profile.rules || []).find(r => r.kind === kind && ruleMatches(r, now, monitorCount));
+            if (rule) return { profile, rule };
+        }
+    }
+    return null;
+}
 
-    if (state.dependencies.length === 0) {
-        container.innerHTML = '';
-        container.appendChild(empty);
-        empty.style.display = 'flex';
-        return;
+function ruleMatches(rule, now, monitorCount) {
+    switch (rule.kind) {
+        case 'presentation':
+            return state.presentationMode;
+        case 'monitors':
+            return monitorCount === rule.monitorCount;
+        case 'schedule':
+            return scheduleMatches(rule, now);
+        default:
+            return false;
     }
+}
 
-    empty.style.display = 'none';
-    container.innerHTML = state.dependencies.map(dep => `
-        <div class="dependency-item">
-            <div class="dependency-info">
-                <div class="dependency-url">${escapeHtml(dep.name)}</div>
-                <div class="dependency-meta">${escapeHtml(dep.url)}</div>
-            </div>
-            <div class="dependency-status ${dep.cached ? '' : 'pending'}">
-                ${dep.cached ? '✓ Cached' : '○ Online'}
-            </div>
-            <button class="btn btn-ghost btn-sm" onclick="removeDependency('${dep.id}')" title="Remove">
+function scheduleMatches(rule, now) {
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const start = parseTime(rule.start) ?? 0;
+    const end = parseTime(rule.end) ?? 24 * 60;
+    let day = now.getDay();
+
+    let inWindow;
+    if (start <= end) {
+        inWindow = minutes >= start && minutes < end;
+    } else {
+        // Overnight window: the early hours belong to the previous day
+        inWindow = minutes >= start || minutes < end;
+        if (minutes < end) day = (day + 6) % 7;
+    }
+
+    return inWindow && (!rule.days?.length || rule.days.includes(day));
+}
+
+function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function describeRule(rule) {
+    switch (rule.kind) {
+        case 'presentation':
+            return 'Presentation mode';
+        case 'monitors':
+            return `${rule.monitorCount} monitor(s) connected`;
+        case 'schedule': {
+            const days = rule.days?.length ? rule.days.map(d => WEEKDAYS[d]).join(', ') : 'Every day';
+            return `${days} ${rule.start || '00:00'}–${rule.end || '24:00'}`;
+        }
+        default:
+            return rule.kind;
+    }
+}
+
+function logAutoSwitch(profile, rule, success) {
+    state.switchLog.unshift({
+        timestamp: Date.now(),
+        profileName: profile.name,
+        reason: describeRule(rule),
+        success
+    });
+    state.switchLog.length = Math.min(state.switchLog.length, MAX_SWITCH_LOG);
+}
+
+function updateAutomationButtons() {
+    const paused = Boolean(state.appSettings.automationPaused);
+    document.getElementById('automation-status').textContent = paused ? 'Auto-switch paused' : 'Auto-switch';
+    document.getElementById('automation-btn').classList.toggle('paused', paused);
+    document.getElementById('presentation-btn').classList.toggle('active', state.presentationMode);
+}
+
+function togglePresentationMode() {
+    state.presentationMode = !state.presentationMode;
+    updateAutomationButtons();
+    showToast(`Presentation mode ${state.presentationMode ? 'on' : 'off'}`, 'info');
+    checkProfileRules();
+}
+
+function showAutomationLog() {
+    const paused = Boolean(state.appSettings.automationPaused);
+    const entries = state.switchLog.map(entry => `
+        <div class="console-entry ${entry.success ? '' : 'level-error'}">
+            <span class="console-time">${new Date(entry.timestamp).toLocaleTimeString()}</span>
+            <span class="console-message">${escapeHtml(entry.profileName)}</span>
+            <span class="console-time">${escapeHtml(entry.reason)}${entry.success ? '' : ' (failed)'}</span>
+        </div>
+    `).join('');
+
+    const modalContent = `
+        <label class="toggle-label">
+            <span>Pause automatic switching</span>
+            <input type="checkbox" id="automation-paused" ${paused ? 'checked' : ''} onchange="setAutomationPaused(this.checked)">
+            <span class="toggle"></span>
+        </label>
+        <div class="widget-console switch-log">
+            ${entries || '<div class="console-empty">No automatic switches yet</div>'}
+        </div>
+    `;
+
+    showModal('Automatic Switching', modalContent, '<button class="btn btn-secondary" onclick="closeModal()">Close</button>');
+}
+
+async function setAutomationPaused(paused) {
+    try {
+        await saveAppSetting('automationPaused', paused);
+        // Whatever matches on resuming is taken as applied, as at launch; only a
+        // later change of match switches profiles
+        state.ruleMatch = getRuleMatchKey(findRuleMatch(new Date(), state.monitorCount));
+        updateAutomationButtons();
+    } catch (error) {
+        console.error('Error saving settings:', error);
+        showToast('Error saving settings: ' + error, 'error');
+    }
+}
+
+function editProfileRules(id) {
+    const profile = state.profiles.find(p => p.id === id);
+    if (!profile) return;
+
+    state.editingRules = (profile.rules || []).map(rule => ({ ...rule, days: [...(rule.days || [])] }));
+
+    const modalContent = `
+        <p class="rule-hint">Switch to this profile automatically when any of these rules starts to apply.</p>
+        <div class="rule-list" id="rule-list"></div>
+        <div class="rule-add">
+            <button class="btn btn-secondary btn-sm" onclick="addProfileRule('schedule')">+ Time window</button>
+            <button class="btn btn-secondary btn-sm" onclick="addProfileRule('monitors')">+ Monitor layout</button>
+            <button class="btn btn-secondary btn-sm" onclick="addProfileRule('presentation')">+ Presentation mode</button>
+        </div>
+    `;
+
+    const modalFooter = `
+        <button class="btn btn-secondary" onclick="closeModal()">Cancel</button>
+        <button class="btn btn-primary" onclick="saveProfileRules('${id}')">Save</button>
+    `;
+
+    showModal(`Rules for "${profile.name}"`, modalContent, modalFooter);
+    renderRuleList();
+}
+
+function renderRuleList() {
+    const list = document.getElementById('rule-list');
+    if (!list) return;
+
+    if (state.editingRules.length === 0) {
+        list.innerHTML = '<div class="console-empty">No rules, this profile is only loaded manually</div>';
+        return;
+    }
+
+    list.innerHTML = state.editingRules.map((rule, index) => {
+        let fields = '';
+        if (rule.kind === 'schedule') {
+            fields = `
+                <div class="rule-days">
+                    ${WEEKDAYS.map((name, day) => `
+                        <label class="rule-day">
+                            <input type="checkbox" ${rule.days.includes(day) ? 'checked' : ''} onchange="toggleRuleDay(${index}, ${day})">
+                            ${name}
+                        </label>
+                    `).join('')}
+                </div>
+                <input type="time" class="input" value="${escapeAttr(rule.start || '')}" onchange="updateProfileRule(${index}, 'start', this.value)">
+                <span>to</span>
+                <input type="time" class="input" value="${escapeAttr(rule.end || '')}" onchange="updateProfileRule(${index}, 'end', this.value)">
+            `;
+        } else if (rule.kind === 'monitors') {
+            fields = `
+                <span>When</span>
+                <input type="number" class="input" min="1" value="${rule.monitorCount || 1}" onchange="updateProfileRule(${index}, 'monitorCount', parseInt(this.value) || 1)">
+                <span>monitor(s) are connected</span>
+            `;
+        } else {
+            fields = '<span>While presentation mode is on</span>';
+        }
+
+        return `
+            <div class="rule-row">
+                ${fields}
+                <button class="btn btn-ghost btn-sm" onclick="removeProfileRule(${index})" title="Remove">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"/>
+                        <line x1="6" y1="6" x2="18" y2="18"/>
+                    </svg>
+                </button>
+            </div>
+        `;
+    }).join('');
+}
+
+function addProfileRule(kind) {
+    const rule = { kind, days: [] };
+    if (kind === 'schedule') {
+        rule.days = [1, 2, 3, 4, 5];
+        rule.start = '09:00';
+        rule.end = '18:00';
+    } else if (kind === 'monitors') {
+        rule.monitorCount = 1;
+    }
+    state.editingRules.push(rule);
+    renderRuleList();
+}
+
+function updateProfileRule(index, field, value) {
+    state.editingRules[index][field] = value || null;
+}
+
+function toggleRuleDay(index, day) {
+    const days = state.editingRules[index].days;
+    const position = days.indexOf(day);
+    if (position === -1) {
+        days.push(day);
+        days.sort();
+    } else {
+        days.splice(position, 1);
+    }
+}
+
+function removeProfileRule(index) {
+    state.editingRules.splice(index, 1);
+    renderRuleList();
+}
+
+async function saveProfileRules(id) {
+    const profile = state.profiles.find(p => p.id === id);
+    if (!profile) return;
+
+    try {
+        const updated = { ...profile, rules: state.editingRules };
+        await invoke('save_profile', { profile: updated });
+        Object.assign(profile, updated);
+        closeModal();
+        renderProfiles();
+        showToast('Rules saved!', 'success');
+
+        // Switches only if the edit changed which rule matches right now
+        checkProfileRules();
+    } catch (error) {
+        console.error('Error saving rules:', error);
+        showToast('Error saving rules: ' + error, 'error');
+    }
+}
+
+// Dependency Functions
+async function addDependency() {
+    const url = document.getElementById('dep-url').value.trim();
+    if (!url) {
+        showToast('Please enter a valid URL', 'warning');
+        return;
+    }
+
+    const dependency = {
+        id: Date.now().toString(),
+        url: url,
+        name: url.split('/').pop() || url,
+        cached: false,
+        addedAt: new Date().toISOString()
+    };
+
+    try {
+        await invoke('add_dependency', { dependency });
+        document.getElementById('dep-url').value = '';
+        await loadData();
+        renderDependencies();
+        showToast('Dependency added! Downloading...', 'info');
+    } catch (error) {
+        console.error('Error adding dependency:', error);
+        showToast('Error adding dependency: ' + error, 'error');
+        return;
+    }
+
+    await cacheDependency(dependency.id);
+}
+
+// Download a dependency into the offline cache
+async function cacheDependency(id) {
+    try {
+        await invoke('cache_dependency', { dependencyId: id });
+        await loadData();
+        renderDependencies();
+        showToast('Dependency cached for offline use!', 'success');
+    } catch (error) {
+        console.error('Error caching dependency:', error);
+        showToast('Error downloading dependency: ' + error, 'error');
+    }
+}
+
+async function removeDependency(id) {
+    const usedBy = state.widgets.filter(w => w.dependencies?.includes(id));
+    if (usedBy.length > 0) {
+        const names = usedBy.map(w => w.name).join(', ');
+        if (!await showConfirm(`This dependency is used by: ${names}. Remove it anyway?`, 'Remove Dependency')) return;
+    }
+
+    try {
+        await invoke('remove_dependency', { dependencyId: id });
+        state.editorDependencies = state.editorDependencies.filter(depId => depId !== id);
+        await loadData();
+        renderDependencies();
+        showToast('Dependency removed!', 'success');
+    } catch (error) {
+        console.error('Error removing dependency:', error);
+        showToast('Error removing dependency: ' + error, 'error');
+    }
+}
+
+function renderDependencies() {
+    const container = document.getElementById('dependencies-list');
+    const empty = document.getElementById('empty-deps');
+
+    if (state.dependencies.length === 0) {
+        container.innerHTML = '';
+        container.appendChild(empty);
+        empty.style.display = 'flex';
+        return;
+    }
+
+    empty.style.display = 'none';
+    container.innerHTML = state.dependencies.map(dep => {
+        const usedBy = state.widgets.filter(w => w.dependencies?.includes(dep.id)).length;
+        const status = DEPENDENCY_STATUS[state.dependencyStatus[dep.id]] || DEPENDENCY_STATUS.online;
+        const details = [
+            isStylesheetDependency(dep) ? null : `<span class="dependency-specifier" onclick="renameDependencySpecifier('${dep.id}')" title="Import name for ES module widgets - click to change">import '${escapeHtml(getDependencySpecifier(dep))}'</span>`,
+            dep.version ? `v${escapeHtml(dep.version)}` : 'Unversioned',
+            dep.size ? formatBytes(dep.size) : null,
+            dep.integrity ? `<span class="dependency-hash" title="${escapeAttr(dep.integrity)}">${escapeHtml(dep.integrity.slice(0, 19))}…</span>` : null,
+            `Used by ${usedBy} widget${usedBy === 1 ? '' : 's'}`
+        ].filter(Boolean).join(' • ');
+        return `
+        <div class="dependency-item">
+            <div class="dependency-info">
+                <div class="dependency-url">${escapeHtml(dep.name)}</div>
+                <div class="dependency-meta">${escapeHtml(dep.url)}</div>
+                <div class="dependency-meta">${details}</div>
+            </div>
+            <div class="dependency-status ${status.className}" title="${status.title}">
+                ${status.label}
+            </div>
+            ${status.canDownload ? `
+            <button class="btn btn-secondary btn-sm" onclick="cacheDependency('${dep.id}')" title="Download for offline use">
+                Download
+            </button>` : `
+            <button class="btn btn-secondary btn-sm" onclick="checkDependencyUpdate('${dep.id}')" title="Check for a newer version">
+                Check Update
+            </button>`}
+            <button class="btn btn-ghost btn-sm" onclick="removeDependency('${dep.id}')" title="Remove">
                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <line x1="18" y1="6" x2="6" y2="18"/>
                     <line x1="6" y1="6" x2="18" y2="18"/>
                 </svg>
             </button>
         </div>
-    `).join('');
+    `;
+    }).join('');
+
+    renderEditorDependencies();
+}
+
+// Import map names - mirrors dependency_specifier in the backend
+function getDependencySpecifier(dep) {
+    if (dep.specifier?.trim()) return dep.specifier.trim();
+
+    const path = dep.url.split(/[?#]/)[0].replace(/^[a-z]+:\/\/[^/]+/i, '');
+    const npmMatch = path.match(/\/((?:@[^/]+\/)?[^/@]+)@v?\d[^/]*/);
+    if (npmMatch) return npmMatch[1];
+
+    const segments = path.split('/');
+    for (let i = 2; i < segments.length - 1; i++) {
+        if (/^v?\d[\w+-]*\.[\w.+-]*$/.test(segments[i])) return segments[i - 1];
+    }
+
+    return dep.name.split('.')[0];
+}
+
+function isStylesheetDependency(dep) {
+    return (dep.fileName || dep.url).split(/[?#]/)[0].toLowerCase().endsWith('.css');
+}
+
+async function renameDependencySpecifier(id) {
+    const dep = state.dependencies.find(d => d.id === id);
+    if (!dep) return;
+
+    const specifier = await showPrompt('Import name used in module widgets:', getDependencySpecifier(dep), 'Import Name');
+    if (specifier === null) return;
+
+    try {
+        await invoke('add_dependency', { dependency: { ...dep, specifier: specifier.trim() || null } });
+        await loadData();
+        renderDependencies();
+        showToast('Import name updated!', 'success');
+    } catch (error) {
+        console.error('Error updating dependency:', error);
+        showToast('Error updating dependency: ' + error, 'error');
+    }
+}
+
+window.renameDependencySpecifier = renameDependencySpecifier;
+
+// Labels for the statuses returned by verify_dependencies
+const DEPENDENCY_STATUS = {
+    verified: { label: '✓ Verified', className: '', title: 'Cached file matches its pinned hash', canDownload: false },
+    unverified: { label: '✓ Cached', className: '', title: 'Cached before hashes were recorded', canDownload: true },
+    modified: { label: '✗ Modified', className: 'error', title: 'Cached file changed on disk - widgets will refuse to load it', canDownload: true },
+    missing: { label: '○ Missing', className: 'pending', title: 'Cached file was deleted - loaded online', canDownload: true },
+    online: { label: '○ Online', className: 'pending', title: 'Not cached - loaded from the network', canDownload: true }
+};
+
+// Check a dependency for a newer version and offer to re-pin it
+async function checkDependencyUpdate(id) {
+    const dep = state.dependencies.find(d => d.id === id);
+    if (!dep) return;
+
+    showToast(`Checking ${dep.name}...`, 'info');
+
+    let update;
+    try {
+        update = await invoke('check_dependency_update', { dependencyId: id });
+    } catch (error) {
+        console.error('Error checking dependency:', error);
+        showToast('Error checking for updates: ' + error, 'error');
+        return;
+    }
+
+    if (!update.changed) {
+        showToast(`${dep.name} is up to date`, 'success');
+        return;
+    }
+
+    state.pendingDependencyUpdate = { id, ...update };
+
+    const row = (label, current, next) => `
+        <tr class="${current !== next ? 'changed' : ''}">
+            <th>${label}</th>
+            <td>${escapeHtml(String(current ?? '—'))}</td>
+            <td>${escapeHtml(String(next ?? '—'))}</td>
+        </tr>`;
+
+    const modalContent = `
+        <p class="settings-hint">A different version of <strong>${escapeHtml(dep.name)}</strong> is available. Review the changes before pinning it.</p>
+        <table class="dependency-diff">
+            <thead><tr><th></th><th>Pinned</th><th>Available</th></tr></thead>
+            <tbody>
+                ${row('Version', dep.version, update.latestVersion ?? dep.version)}
+                ${row('URL', dep.url, update.url)}
+                ${row('Size', dep.size ? formatBytes(dep.size) : null, formatBytes(update.size))}
+                ${row('Hash', dep.integrity, update.integrity)}
+            </tbody>
+        </table>
+    `;
+
+    const modalFooter = `
+        <button class="btn btn-secondary" onclick="closeModal()">Keep Current</button>
+        <button class="btn btn-primary" onclick="pinDependencyUpdate()">Pin New Version</button>
+    `;
+
+    showModal('Dependency Update', modalContent, modalFooter);
+}
+
+async function pinDependencyUpdate() {
+    const update = state.pendingDependencyUpdate;
+    if (!update) return;
+
+    try {
+        await invoke('pin_dependency', { dependencyId: update.id, url: update.url, integrity: update.integrity });
+        delete state.pendingDependencyUpdate;
+        closeModal();
+        await loadData();
+        renderDependencies();
+        showToast('Dependency re-pinned! Reopen widgets to use it.', 'success');
+    } catch (error) {
+        console.error('Error pinning dependency:', error);
+        showToast('Error pinning dependency: ' + error, 'error');
+    }
+}
+
+window.checkDependencyUpdate = checkDependencyUpdate;
+window.pinDependencyUpdate = pinDependencyUpdate;
+
+// Dependency picker in the editor sidebar.
+// Selected dependencies come first, in load order, followed by the rest.
+function renderEditorDependencies() {
+    const container = document.getElementById('editor-dependencies');
+    if (!container) return;
+
+    if (state.dependencies.length === 0) {
+        container.innerHTML = '<p class="schema-summary">No dependencies added yet</p>';
+        return;
+    }
+
+    const selected = state.editorDependencies
+        .map(id => state.dependencies.find(d => d.id === id))
+        .filter(Boolean);
+    const available = state.dependencies.filter(d => !state.editorDependencies.includes(d.id));
+
+    container.innerHTML = [
+        ...selected.map((dep, index) => `
+            <div class="editor-dep selected">
+                <label>
+                    <input type="checkbox" checked onchange="toggleEditorDependency('${dep.id}')">
+                    <span class="editor-dep-order">${index + 1}</span>
+                    <span class="editor-dep-name" title="${escapeAttr(dep.url)}">${escapeHtml(dep.name)}</span>
+                </label>
+                <div class="editor-dep-actions">
+                    <button class="btn btn-ghost btn-sm" onclick="moveEditorDependency('${dep.id}', -1)" title="Load earlier" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="btn btn-ghost btn-sm" onclick="moveEditorDependency('${dep.id}', 1)" title="Load later" ${index === selected.length - 1 ? 'disabled' : ''}>↓</button>
+                </div>
+            </div>
+        `),
+        ...available.map(dep => `
+            <div class="editor-dep">
+                <label>
+                    <input type="checkbox" onchange="toggleEditorDependency('${dep.id}')">
+                    <span class="editor-dep-name" title="${escapeAttr(dep.url)}">${escapeHtml(dep.name)}</span>
+                </label>
+                ${dep.cached ? '' : '<span class="editor-dep-online" title="Not cached - loaded from the network">online</span>'}
+            </div>
+        `)
+    ].join('');
+}
+
+function toggleEditorDependency(id) {
+    if (state.editorDependencies.includes(id)) {
+        state.editorDependencies = state.editorDependencies.filter(depId => depId !== id);
+    } else {
+        state.editorDependencies = [...state.editorDependencies, id];
+    }
+    renderEditorDependencies();
+    schedulePreviewRender();
+}
+
+function moveEditorDependency(id, direction) {
+    const order = [...state.editorDependencies];
+    const index = order.indexOf(id);
+    const target = index + direction;
+    if (index < 0 || target < 0 || target >= order.length) return;
+
+    [order[index], order[target]] = [order[target], order[index]];
+    state.editorDependencies = order;
+    renderEditorDependencies();
+    schedulePreviewRender();
 }
 
+window.cacheDependency = cacheDependency;
+window.toggleEditorDependency = toggleEditorDependency;
+window.moveEditorDependency = moveEditorDependency;
+
 // Modal
 function showModal(title, content, footer = '') {
+    document.getElementById('modal').classList.remove('modal-wide');
     document.getElementById('modal-title').textContent = title;
     document.getElementById('modal-body').innerHTML = content;
     document.getElementById('modal-footer').innerHTML = footer;
     document.getElementById('modal-overlay').classList.add('active');
+    state.consoleWidgetId = null;
 }
 
 function closeModal() {
     document.getElementById('modal-overlay').classList.remove('active');
+    state.consoleWidgetId = null;
+
+    if (state.themeDraft) {
+        state.themeDraft = null;
+        applyTheme();
+    }
 }
 
 // Custom Confirmation Modal
@@ -741,7 +2542,7 @@ function showPrompt(message, defaultValue = '', title = 'Input Required') {
                     <path d="M2 12l10 5 10-5"/>
                 </svg>
                 <p>${escapeHtml(message)}</p>
-                <input type="text" id="prompt-input" class="prompt-input" value="${escapeHtml(defaultValue)}" placeholder="Enter your response...">
+                <input type="text" id="prompt-input" class="prompt-input" value="${escapeAttr(defaultValue)}" placeholder="Enter your response...">
             </div>
         `;
         
@@ -809,7 +2610,8 @@ window.closeAlertModal = closeAlertModal;
 window.closePromptModal = closePromptModal;
 
 // Toast Notifications
-function showToast(message, type = 'info') {
+// `action` ({ label, onClick }) adds a button, e.g. Undo, and keeps the toast up longer
+function showToast(message, type = 'info', action = null) {
     const container = document.getElementById('toast-container');
     
     const icons = {
@@ -826,12 +2628,23 @@ function showToast(message, type = 'info') {
         <span class="toast-message">${escapeHtml(message)}</span>
     `;
 
+    if (action) {
+        const button = document.createElement('button');
+        button.className = 'toast-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            toast.remove();
+            action.onClick();
+        });
+        toast.appendChild(button);
+    }
+
     container.appendChild(toast);
 
     setTimeout(() => {
         toast.style.animation = 'slideOut 0.3s ease forwards';
         setTimeout(() => toast.remove(), 300);
-    }, 4000);
+    }, action ? 8000 : 4000);
 }
 
 // Utilities
@@ -841,6 +2654,27 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+// For attribute values, where escapeHtml would leave quotes as they are
+function escapeAttr(value) {
+    return String(value).replace(/[&"'<>]/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function readFileAsBase64(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result.split(',')[1] || '');
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${parseFloat((bytes / Math.pow(1024, i)).toFixed(1))} ${units[i]}`;
+}
+
 function formatDate(dateStr) {
     try {
         return new Date(dateStr).toLocaleDateString('en-US');
@@ -856,8 +2690,20 @@ window.closeWidget = closeWidget;
 window.deleteWidget = deleteWidget;
 window.loadProfile = loadProfile;
 window.deleteProfile = deleteProfile;
+window.exportProfile = exportProfile;
+window.mergeProfile = mergeProfile;
+window.confirmMergeProfile = confirmMergeProfile;
+window.editProfileRules = editProfileRules;
+window.addProfileRule = addProfileRule;
+window.updateProfileRule = updateProfileRule;
+window.toggleRuleDay = toggleRuleDay;
+window.removeProfileRule = removeProfileRule;
+window.saveProfileRules = saveProfileRules;
+window.setAutomationPaused = setAutomationPaused;
 window.removeDependency = removeDependency;
 window.toggleAutoStart = toggleAutoStart;
+window.toggleWidgetLock = toggleWidgetLock;
+window.toggleWidgetInteractive = toggleWidgetInteractive;
 window.configureWidget = configureWidget;
 
 // Settings
@@ -877,6 +2723,482 @@ function initSettings() {
             }
         });
     }
+
+    const autostartWidgetsToggle = document.getElementById('autostart-widgets-toggle');
+    autostartWidgetsToggle.checked = state.appSettings.openWidgetsOnStartup !== false;
+    autostartWidgetsToggle.addEventListener('change', async (e) => {
+        try {
+            await saveAppSetting('openWidgetsOnStartup', e.target.checked);
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            showToast('Error saving settings: ' + error, 'error');
+            e.target.checked = !e.target.checked;
+        }
+    });
+
+    const formatOnSaveToggle = document.getElementById('format-on-save-toggle');
+    formatOnSaveToggle.checked = state.appSettings.formatOnSave === true;
+    formatOnSaveToggle.addEventListener('change', async (e) => {
+        try {
+            await saveAppSetting('formatOnSave', e.target.checked);
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            showToast('Error saving settings: ' + error, 'error');
+            e.target.checked = !e.target.checked;
+        }
+    });
+
+    // Appearance
+    renderThemeOptions();
+    document.getElementById('theme-select').addEventListener('change', async (e) => {
+        try {
+            await saveAppSetting('theme', e.target.value);
+            applyTheme();
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            showToast('Error saving settings: ' + error, 'error');
+        }
+        renderThemeOptions();
+    });
+    document.getElementById('new-theme-btn').addEventListener('click', () => showThemeEditor(null));
+    document.getElementById('edit-theme-btn').addEventListener('click', () => showThemeEditor(getThemeSetting().slice(7)));
+    document.getElementById('delete-theme-btn').addEventListener('click', deleteCustomTheme);
+    window.matchMedia('(prefers-color-scheme: light)').addEventListener('change', applyTheme);
+
+    // Data
+    const backupInput = document.getElementById('backup-input');
+    document.getElementById('export-data-btn').addEventListener('click', exportData);
+    document.getElementById('import-data-btn').addEventListener('click', () => backupInput.click());
+    document.getElementById('reset-data-btn').addEventListener('click', resetData);
+    backupInput.addEventListener('change', async () => {
+        const file = backupInput.files[0];
+        backupInput.value = '';
+        if (file) await inspectBackup(file);
+    });
+}
+
+// Themes
+function getCustomThemes() {
+    return state.appSettings.customThemes || [];
+}
+
+function findCustomTheme(id) {
+    return getCustomThemes().find(theme => theme.id === id);
+}
+
+// 'dark', 'light', 'system' or 'custom:<id>', falling back to dark for deleted custom themes
+function getThemeSetting() {
+    const theme = state.appSettings.theme || 'dark';
+    if (theme.startsWith('custom:') && !findCustomTheme(theme.slice(7))) return 'dark';
+    return theme;
+}
+
+// The custom theme being edited or used, if any
+function getActiveCustomTheme() {
+    const setting = getThemeSetting();
+    return state.themeDraft || (setting.startsWith('custom:') ? findCustomTheme(setting.slice(7)) : null);
+}
+
+// The built-in colors underneath the current theme, 'dark' or 'light'
+function getThemeBase() {
+    const custom = getActiveCustomTheme();
+    if (custom) return custom.base;
+
+    const setting = getThemeSetting();
+    if (setting !== 'system') return setting;
+    return window.matchMedia('(prefers-color-scheme: light)').matches ? 'light' : 'dark';
+}
+
+function renderThemeColors(colors) {
+    const declarations = THEME_COLORS
+        .filter(({ key }) => /^#[0-9a-f]{6}$/i.test(colors[key] || ''))
+        .map(({ key }) => `--${key}: ${colors[key]};`);
+    return `:root[data-theme] { ${declarations.join(' ')} }`;
+}
+
+function applyTheme() {
+    const base = getThemeBase();
+    const custom = getActiveCustomTheme();
+
+    document.documentElement.dataset.theme = base;
+    document.getElementById('custom-theme-style').textContent = custom ? renderThemeColors(custom.colors) : '';
+    Object.values(state.editors).forEach(editor => editor.setOption('theme', EDITOR_THEMES[base]));
+}
+
+function renderThemeOptions() {
+    const select = document.getElementById('theme-select');
+    const customThemes = getCustomThemes();
+
+    select.innerHTML = `
+        <option value="dark">Dark</option>
+        <option value="light">Light</option>
+        <option value="system">System</option>
+        ${customThemes.length ? `
+            <optgroup label="Custom">
+                ${customThemes.map(theme => `<option value="custom:${escapeAttr(theme.id)}">${escapeHtml(theme.name)}</option>`).join('')}
+            </optgroup>
+        ` : ''}
+    `;
+    select.value = getThemeSetting();
+
+    const isCustom = select.value.startsWith('custom:');
+    document.getElementById('edit-theme-btn').style.display = isCustom ? '' : 'none';
+    document.getElementById('delete-theme-btn').style.display = isCustom ? '' : 'none';
+}
+
+// Colors of a built-in theme, as styles.css defines them
+function getThemeColors(base) {
+    const root = document.documentElement;
+    const customStyle = document.getElementById('custom-theme-style');
+    const previous = { theme: root.dataset.theme, css: customStyle.textContent };
+
+    root.dataset.theme = base;
+    customStyle.textContent = '';
+    const computed = getComputedStyle(root);
+    const colors = Object.fromEntries(THEME_COLORS.map(({ key }) => [key, computed.getPropertyValue(`--${key}`).trim()]));
+
+    root.dataset.theme = previous.theme;
+    customStyle.textContent = previous.css;
+    return colors;
+}
+
+// New themes start from the colors of the current one; the app previews the theme while it's edited
+function showThemeEditor(id) {
+    const existing = id ? findCustomTheme(id) : null;
+    const base = getThemeBase();
+    state.themeDraft = existing
+        ? { ...existing, colors: { ...existing.colors } }
+        : { id: null, name: '', base, colors: { ...getThemeColors(base), ...(getActiveCustomTheme()?.colors || {}) } };
+
+    const modalContent = `
+        <div class="form-group">
+            <label>Name</label>
+            <input type="text" id="theme-name" class="input" value="${escapeAttr(state.themeDraft.name)}" placeholder="My theme">
+        </div>
+        <div class="form-group">
+            <label>Start from</label>
+            <select id="theme-base" class="input">
+                <option value="dark" ${state.themeDraft.base === 'dark' ? 'selected' : ''}>Dark</option>
+                <option value="light" ${state.themeDraft.base === 'light' ? 'selected' : ''}>Light</option>
+            </select>
+            <p class="settings-hint">Also picks the code editor colors. Changing it resets the colors below.</p>
+        </div>
+        <div class="theme-colors">
+            ${THEME_COLORS.map(({ key, label }) => `
+                <label class="theme-color">
+                    <input type="color" class="input input-color" data-theme-color="${key}" value="${escapeAttr(state.themeDraft.colors[key] || '#000000')}">
+                    <span>${label}</span>
+                </label>
+            `).join('')}
+        </div>
+    `;
+
+    const modalFooter = `
+        <button class="btn btn-secondary" onclick="closeModal()">Cancel</button>
+        <button class="btn btn-primary" onclick="saveCustomTheme()">Save</button>
+    `;
+
+    showModal(existing ? 'Edit Theme' : 'New Theme', modalContent, modalFooter);
+    applyTheme();
+
+    const colorInputs = document.querySelectorAll('[data-theme-color]');
+    colorInputs.forEach(input => input.addEventListener('input', () => {
+        state.themeDraft.colors[input.dataset.themeColor] = input.value;
+        applyTheme();
+    }));
+    document.getElementById('theme-base').addEventListener('change', (e) => {
+        state.themeDraft.base = e.target.value;
+        state.themeDraft.colors = getThemeColors(e.target.value);
+        colorInputs.forEach(input => { input.value = state.themeDraft.colors[input.dataset.themeColor]; });
+        applyTheme();
+    });
+}
+
+async function saveCustomTheme() {
+    const name = document.getElementById('theme-name').value.trim();
+    if (!name) {
+        showToast('Please enter a theme name', 'warning');
+        return;
+    }
+
+    const draft = state.themeDraft;
+    const theme = { id: draft.id || Date.now().toString(), name, base: draft.base, colors: draft.colors };
+    const themes = draft.id
+        ? getCustomThemes().map(t => t.id === theme.id ? theme : t)
+        : [...getCustomThemes(), theme];
+
+    try {
+        await saveAppSetting('customThemes', themes);
+        await saveAppSetting('theme', `custom:${theme.id}`);
+        closeModal();
+        renderThemeOptions();
+        showToast(`Theme "${name}" saved`, 'success');
+    } catch (error) {
+        console.error('Error saving theme:', error);
+        showToast('Error saving theme: ' + error, 'error');
+    }
+}
+
+async function deleteCustomTheme() {
+    const theme = findCustomTheme(getThemeSetting().slice(7));
+    if (!theme) return;
+
+    const confirmed = await showConfirm(`Delete the theme "${theme.name}"?`, 'Delete Theme');
+    if (!confirmed) return;
+
+    try {
+        await saveAppSetting('customThemes', getCustomThemes().filter(t => t.id !== theme.id));
+        await saveAppSetting('theme', theme.base);
+        applyTheme();
+        renderThemeOptions();
+        showToast('Theme deleted', 'success');
+    } catch (error) {
+        console.error('Error deleting theme:', error);
+        showToast('Error deleting theme: ' + error, 'error');
+    }
+}
+
+window.saveCustomTheme = saveCustomTheme;
+
+// Data backup
+function exportData() {
+    const modalContent = `
+        <p class="settings-hint">The backup is a single file with your widgets, profiles, dependencies, settings and widget storage.</p>
+        <label class="toggle-label">
+            <span>Include cached dependency files</span>
+            <input type="checkbox" id="backup-include-cache">
+            <span class="toggle"></span>
+        </label>
+        <p class="settings-hint">Makes the backup work offline, but larger.</p>
+    `;
+    
+    const modalFooter = `
+        <button class="btn btn-secondary" onclick="closeModal()">Cancel</button>
+        <button class="btn btn-primary" onclick="confirmExportData()">Export</button>
+    `;
+    
+    showModal('Export Data', modalContent, modalFooter);
+}
+
+async function confirmExportData() {
+    const includeCache = document.getElementById('backup-include-cache').checked;
+    
+    try {
+        const path = await invoke('export_data', { includeCache });
+        closeModal();
+        showToast(`Backup saved to ${path}`, 'success');
+    } catch (error) {
+        console.error('Error exporting data:', error);
+        showToast('Error exporting data: ' + error, 'error');
+    }
+}
+
+async function inspectBackup(file) {
+    let content, summary;
+    try {
+        content = await file.text();
+        summary = await invoke('inspect_backup', { content });
+        const backup = JSON.parse(content);
+        validateImportedWidgets([
+            ...(backup.widgets || []),
+            ...(backup.profiles || []).flatMap(profile => profile.widgets || [])
+        ]);
+    } catch (error) {
+        console.error('Error reading backup:', error);
+        showToast('Error reading backup: ' + error, 'error');
+        return;
+    }
+
+    const conflicts = [
+        ...summary.widgetConflicts.map(name => `Widget: ${name}`),
+        ...summary.profileConflicts.map(name => `Profile: ${name}`),
+        ...summary.dependencyConflicts.map(name => `Dependency: ${name}`)
+    ];
+    const exportedAt = summary.exportedAt ? new Date(summary.exportedAt).toLocaleString('en-US') : 'unknown date';
+
+    const modalContent = `
+        <p class="settings-hint">Backup from DashLayer ${escapeHtml(summary.appVersion || '?')}, ${escapeHtml(exportedAt)}</p>
+        <ul class="backup-summary">
+            <li><strong>${summary.widgets}</strong> widgets</li>
+            <li><strong>${summary.profiles}</strong> profiles</li>
+            <li><strong>${summary.dependencies}</strong> dependencies${summary.cachedFiles ? ` (${summary.cachedFiles} cached files)` : ''}</li>
+            <li><strong>${summary.storage}</strong> widgets with saved storage</li>
+            <li><strong>${summary.templates}</strong> templates</li>
+            <li><strong>${summary.settings}</strong> settings</li>
+        </ul>
+        ${conflicts.length ? `
+        <div class="backup-conflicts">
+            <label>${conflicts.length} ${conflicts.length === 1 ? 'item already exists' : 'items already exist'}</label>
+            <ul>${conflicts.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>
+        </div>` : ''}
+        <div class="form-group">
+            <label>Import mode</label>
+            <select class="input" id="backup-mode">
+                <option value="merge">Merge with current data</option>
+                <option value="replace">Replace all current data</option>
+            </select>
+        </div>
+        ${conflicts.length ? `
+        <div class="form-group" id="backup-conflict-group">
+            <label>When an item already exists</label>
+            <select class="input" id="backup-overwrite">
+                <option value="true">Use the backup version</option>
+                <option value="false">Keep the current version</option>
+            </select>
+        </div>` : ''}
+    `;
+    
+    const modalFooter = `
+        <button class="btn btn-secondary" onclick="closeModal()">Cancel</button>
+        <button class="btn btn-primary" id="confirm-import-data-btn">Import</button>
+    `;
+    
+    showModal('Import Data', modalContent, modalFooter);
+
+    document.getElementById('backup-mode').addEventListener('change', (e) => {
+        const conflictGroup = document.getElementById('backup-conflict-group');
+        if (conflictGroup) conflictGroup.style.display = e.target.value === 'replace' ? 'none' : '';
+    });
+    document.getElementById('confirm-import-data-btn').addEventListener('click', () => importData(content));
+}
+
+async function importData(content) {
+    const replace = document.getElementById('backup-mode').value === 'replace';
+    const overwrite = document.getElementById('backup-overwrite')?.value !== 'false';
+    closeModal();
+
+    if (replace && !await showConfirm('All current widgets, profiles and dependencies will be replaced by the backup. Continue?', 'Replace Data')) {
+        return;
+    }
+
+    try {
+        await invoke('import_data', { content, replace, overwrite });
+        if (replace) state.openWidgets.clear();
+        await reloadAllData();
+        showToast('Data imported!', 'success');
+    } catch (error) {
+        console.error('Error importing data:', error);
+        showToast('Error importing data: ' + error, 'error');
+    }
+}
+
+async function resetData() {
+    if (!await showConfirm('Delete all widgets, profiles, dependencies and settings? A backup is saved first.', 'Reset All Data')) return;
+
+    try {
+        const path = await invoke('reset_data');
+        state.openWidgets.clear();
+        state.currentWidget = null;
+        await reloadAllData();
+        showToast(`All data reset. Backup saved to ${path}`, 'success');
+    } catch (error) {
+        console.error('Error resetting data:', error);
+        showToast('Error resetting data: ' + error, 'error');
+    }
+}
+
+async function reloadAllData() {
+    await loadData();
+    await loadSettings();
+    applyTheme();
+    renderThemeOptions();
+    document.getElementById('autostart-widgets-toggle').checked = state.appSettings.openWidgetsOnStartup !== false;
+    document.getElementById('format-on-save-toggle').checked = state.appSettings.formatOnSave === true;
+    renderWidgets();
+    renderProfiles();
+    renderDependencies();
+    renderEditorDependencies();
+    await loadTemplates();
+}
+
+window.confirmExportData = confirmExportData;
+
+// Widget Window Controls
+// Layer of a widget, falling back to `alwaysOnTop` for widgets saved before layers
+function getWidgetLayer(widget) {
+    if (LAYERS.some(layer => layer.value === widget.layer)) return widget.layer;
+    return widget.alwaysOnTop ? 'top' : 'normal';
+}
+
+// Let a click-through widget take mouse input for a while
+async function toggleWidgetInteractive(id) {
+    const interactive = !state.interactiveWidgets.has(id);
+
+    try {
+        await invoke('set_widget_interactive', { widgetId: id, interactive });
+        clearTimeout(state.interactiveTimers[id]);
+        if (interactive) {
+            state.interactiveWidgets.add(id);
+            state.interactiveTimers[id] = setTimeout(() => {
+                if (state.interactiveWidgets.has(id)) toggleWidgetInteractive(id);
+            }, INTERACTIVE_TIMEOUT);
+        } else {
+            state.interactiveWidgets.delete(id);
+        }
+        renderWidgets();
+    } catch (error) {
+        console.error('Error changing click-through:', error);
+        showToast('Error changing click-through: ' + error, 'error');
+    }
+}
+
+// Locked widgets can't be moved or resized from their window
+async function toggleWidgetLock(id) {
+    const widget = state.widgets.find(w => w.id === id);
+    if (!widget) return;
+
+    try {
+        await invoke('set_widget_locked', { widgetId: id, locked: !widget.locked });
+        widget.locked = !widget.locked;
+        renderWidgets();
+        showToast(widget.locked ? `"${widget.name}" locked` : `"${widget.name}" can be moved and resized`, 'success');
+    } catch (error) {
+        console.error('Error locking widget:', error);
+        showToast('Error locking widget: ' + error, 'error');
+    }
+}
+
+async function toggleArrangeMode(e) {
+    const enabled = e.target.checked;
+
+    try {
+        await invoke('set_arrange_mode', { enabled });
+        state.arranging = enabled;
+        document.getElementById('arrange-toggle').closest('.toggle-label').classList.toggle('active', enabled);
+        if (enabled) showToast('All widgets unlocked: drag the bar at the top of a widget to move it', 'info');
+    } catch (error) {
+        e.target.checked = state.arranging;
+        console.error('Error switching arrange mode:', error);
+        showToast('Error switching arrange mode: ' + error, 'error');
+    }
+}
+
+// Geometry saved by the backend after a widget window was moved or resized
+function listenForWidgetGeometry() {
+    listen('dashlayer://widget-geometry', (event) => {
+        const updated = event.payload;
+        const widget = state.widgets.find(w => w.id === updated?.id);
+        if (!widget) return;
+
+        const geometry = ['monitor', 'x', 'y', 'width', 'height', 'percentX', 'percentY'];
+        geometry.forEach(key => {
+            widget[key] = updated[key];
+        });
+
+        // Keep the editor from saving the old geometry back
+        if (state.currentWidget?.id === widget.id) {
+            geometry.forEach(key => {
+                state.currentWidget[key] = updated[key];
+            });
+            document.getElementById('widget-width').value = widget.width;
+            document.getElementById('widget-height').value = widget.height;
+        }
+
+        renderWidgets();
+        if (!state.layout.dirty && document.getElementById('layout-panel').classList.contains('active')) {
+            openLayoutView();
+        }
+    }).catch(error => console.error('Failed to listen for widget geometry:', error));
 }
 
 // Toggle widget autostart
@@ -898,32 +3220,72 @@ async function toggleAutoStart(id) {
 }
 
 // Configure widget position/size visually
-function configureWidget(id) {
+async function configureWidget(id) {
     const widget = state.widgets.find(w => w.id === id);
     if (!widget) return;
+
+    state.monitors = await loadMonitors();
+    const placement = getWidgetPlacement(widget);
+    const bounds = getMonitorBounds(state.monitors);
     
     const modalContent = `
         <div class="form-group">
             <label>Name</label>
-            <input type="text" class="input" id="config-name" value="${escapeHtml(widget.name)}">
+            <input type="text" class="input" id="config-name" value="${escapeAttr(widget.name)}">
         </div>
         <div class="position-editor">
             <label>Screen Position</label>
-            <div class="screen-preview" id="screen-preview">
-                <div class="widget-preview-box" id="widget-preview" 
-                     style="left: ${(widget.x / 1920) * 100}%; top: ${(widget.y / 1080) * 100}%; 
-                            width: ${(widget.width / 1920) * 100}%; height: ${(widget.height / 1080) * 100}%;">
+            <div class="screen-preview" id="screen-preview" style="aspect-ratio: ${bounds.width} / ${bounds.height};">
+                ${state.monitors.map(monitor => `
+                    <div class="monitor-box" data-monitor="${escapeAttr(monitor.id)}"
+                         style="left: ${(monitor.x - bounds.x) / bounds.width * 100}%; top: ${(monitor.y - bounds.y) / bounds.height * 100}%;
+                                width: ${monitor.width / bounds.width * 100}%; height: ${monitor.height / bounds.height * 100}%;">
+                        <span class="monitor-label">${escapeHtml(monitor.name || monitor.id)}${monitor.primary ? ' ★' : ''}</span>
+                        <span class="monitor-size">${monitor.width}×${monitor.height} @ ${monitor.scaleFactor}x</span>
+                    </div>
+                `).join('')}
+                <div class="widget-preview-box" id="widget-preview">
                     Widget
                 </div>
             </div>
+            <div class="form-group monitor-select">
+                <label>Monitor</label>
+                <select class="input" id="config-monitor">
+                    ${state.monitors.map(monitor => `
+                        <option value="${escapeAttr(monitor.id)}" ${monitor.id === placement.monitorId ? 'selected' : ''}>
+                            ${escapeHtml(monitor.name || monitor.id)} (${monitor.width}×${monitor.height}${monitor.primary ? ', primary' : ''})
+                        </option>
+                    `).join('')}
+                    ${placement.missing ? `
+                        <option value="${escapeAttr(placement.monitorId)}" selected>
+                            ${escapeHtml(placement.monitorId)} (disconnected, shown on the primary monitor)
+                        </option>
+                    ` : ''}
+                </select>
+            </div>
+            <div class="placement-row">
+                <div class="form-group">
+                    <label>Placement</label>
+                    <select class="input" id="config-position-mode">
+                        <option value="absolute" ${placement.mode === 'absolute' ? 'selected' : ''}>Pixels from top-left</option>
+                        <option value="anchor" ${placement.mode === 'anchor' ? 'selected' : ''}>Anchored with margin</option>
+                        <option value="percent" ${placement.mode === 'percent' ? 'selected' : ''}>Percentage of screen</option>
+                    </select>
+                </div>
+                <div class="anchor-picker" id="anchor-picker" title="Anchor point">
+                    ${ANCHORS.map(anchor => `
+                        <button type="button" class="anchor-option ${anchor === placement.anchor ? 'active' : ''}" data-anchor="${anchor}" title="${anchor}"></button>
+                    `).join('')}
+                </div>
+            </div>
             <div class="position-coords">
                 <div class="form-group">
-                    <label>X</label>
-                    <input type="number" class="input" id="config-x" value="${widget.x}">
+                    <label id="config-x-label">X</label>
+                    <input type="number" class="input" id="config-x" value="${placement.x}">
                 </div>
                 <div class="form-group">
-                    <label>Y</label>
-                    <input type="number" class="input" id="config-y" value="${widget.y}">
+                    <label id="config-y-label">Y</label>
+                    <input type="number" class="input" id="config-y" value="${placement.y}">
                 </div>
                 <div class="form-group">
                     <label>Width</label>
@@ -936,12 +3298,30 @@ function configureWidget(id) {
             </div>
         </div>
         <div style="margin-top: 16px;">
+            <div class="form-group">
+                <label>Layer</label>
+                <select class="input" id="config-layer">
+                    ${LAYERS.map(layer => `
+                        <option value="${layer.value}" ${layer.value === getWidgetLayer(widget) ? 'selected' : ''}>${layer.label}</option>
+                    `).join('')}
+                </select>
+            </div>
+            <label class="toggle-label" title="Mouse clicks go through the widget to the windows below it">
+                <span>Click-through</span>
+                <input type="checkbox" id="config-click-through" ${widget.clickThrough ? 'checked' : ''}>
+                <span class="toggle"></span>
+            </label>
             <label class="toggle-label">
                 <span>Auto-start</span>
                 <input type="checkbox" id="config-autostart" ${widget.autoStart ? 'checked' : ''}>
                 <span class="toggle"></span>
             </label>
         </div>
+        ${widget.settingsSchema?.length ? `
+        <div class="widget-settings-form">
+            <label>Widget Settings</label>
+            ${renderSettingsForm(widget.settingsSchema, resolveWidgetSettings(widget))}
+        </div>` : ''}
     `;
     
     const modalFooter = `
@@ -950,6 +3330,8 @@ function configureWidget(id) {
     `;
     
     showModal('Configure Widget', modalContent, modalFooter);
+    updatePlacementFields();
+    updatePositionPreview();
     
     // Setup drag in preview
     setTimeout(() => {
@@ -957,6 +3339,171 @@ function configureWidget(id) {
     }, 100);
 }
 
+// Connected monitors, or a single 1920x1080 screen when they can't be read
+async function loadMonitors() {
+    try {
+        const monitors = await invoke('get_monitors');
+        if (monitors.length) return monitors;
+    } catch (error) {
+        console.error('Error reading monitors:', error);
+    }
+    return [{ id: 'primary', name: 'Screen', x: 0, y: 0, width: 1920, height: 1080, scaleFactor: 1, primary: true }];
+}
+
+function getPrimaryMonitor() {
+    return state.monitors.find(m => m.primary) || state.monitors[0];
+}
+
+// Monitor and placement fields of a widget. Widgets saved before monitors were
+// tracked have absolute coordinates and are assigned to the monitor they're on.
+function getWidgetPlacement(widget) {
+    const mode = widget.anchor ? 'anchor' : (widget.percentX != null || widget.percentY != null) ? 'percent' : 'absolute';
+    const fields = {
+        mode,
+        anchor: widget.anchor || 'top-left',
+        x: mode === 'percent' ? widget.percentX || 0 : widget.x,
+        y: mode === 'percent' ? widget.percentY || 0 : widget.y
+    };
+
+    if (widget.monitor || mode !== 'absolute') {
+        const monitor = state.monitors.find(m => m.id === widget.monitor);
+        const missing = Boolean(widget.monitor) && !monitor;
+        return { ...fields, monitorId: widget.monitor || getPrimaryMonitor().id, missing };
+    }
+
+    const monitor = state.monitors.find(m => {
+        const left = m.x / m.scaleFactor;
+        const top = m.y / m.scaleFactor;
+        return widget.x >= left && widget.x < left + m.width / m.scaleFactor
+            && widget.y >= top && widget.y < top + m.height / m.scaleFactor;
+    }) || getPrimaryMonitor();
+
+    return {
+        ...fields,
+        monitorId: monitor.id,
+        x: Math.round(widget.x - monitor.x / monitor.scaleFactor),
+        y: Math.round(widget.y - monitor.y / monitor.scaleFactor),
+        missing: false
+    };
+}
+
+// Horizontal and vertical factors of an anchor: 0 = left/top, 0.5 = center, 1 = right/bottom
+function anchorFactors(anchor) {
+    return [
+        anchor.includes('left') ? 0 : anchor.includes('right') ? 1 : 0.5,
+        anchor.startsWith('top') ? 0 : anchor.startsWith('bottom') ? 1 : 0.5
+    ];
+}
+
+// Placement as entered in the Configure modal
+function readPlacementForm() {
+    const monitorId = document.getElementById('config-monitor').value;
+    return {
+        monitor: state.monitors.find(m => m.id === monitorId) || getPrimaryMonitor(),
+        mode: document.getElementById('config-position-mode').value,
+        anchor: document.querySelector('.anchor-option.active')?.dataset.anchor || 'top-left',
+        x: parseFloat(document.getElementById('config-x').value) || 0,
+        y: parseFloat(document.getElementById('config-y').value) || 0,
+        width: parseInt(document.getElementById('config-width').value) || 300,
+        height: parseInt(document.getElementById('config-height').value) || 200
+    };
+}
+
+// Physical position of a placement, matching how the backend places the window
+function resolvePlacement(placement) {
+    const { monitor, mode, anchor } = placement;
+    const scale = monitor.scaleFactor;
+    const freeX = Math.max(0, monitor.width - placement.width * scale);
+    const freeY = Math.max(0, monitor.height - placement.height * scale);
+    const [horizontal, vertical] = anchorFactors(anchor);
+
+    const offset = (free, factor, value) => {
+        if (mode === 'percent') return free * value / 100;
+        if (mode === 'anchor') return factor === 1 ? free - value * scale : free * factor + value * scale;
+        return value * scale;
+    };
+
+    return {
+        x: monitor.x + Math.min(Math.max(offset(freeX, horizontal, placement.x), 0), freeX),
+        y: monitor.y + Math.min(Math.max(offset(freeY, vertical, placement.y), 0), freeY),
+        width: placement.width * scale,
+        height: placement.height * scale
+    };
+}
+
+// Field values that put a placement's widget at a physical position
+function placementFields(placement, x, y) {
+    const { monitor, mode, anchor } = placement;
+    const scale = monitor.scaleFactor;
+    const freeX = Math.max(0, monitor.width - placement.width * scale);
+    const freeY = Math.max(0, monitor.height - placement.height * scale);
+    const [horizontal, vertical] = anchorFactors(anchor);
+
+    const value = (free, factor, offset) => {
+        if (mode === 'percent') return free > 0 ? Math.round(offset / free * 1000) / 10 : 0;
+        if (mode === 'anchor') return Math.round((factor === 1 ? free - offset : offset - free * factor) / scale);
+        return Math.round(offset / scale);
+    };
+
+    return {
+        x: value(freeX, horizontal, x - monitor.x),
+        y: value(freeY, vertical, y - monitor.y)
+    };
+}
+
+// Labels and anchor picker for the selected placement mode
+function updatePlacementFields() {
+    const mode = document.getElementById('config-position-mode').value;
+    const labels = { absolute: ['X', 'Y'], anchor: ['Margin X', 'Margin Y'], percent: ['X %', 'Y %'] }[mode];
+    document.getElementById('config-x-label').textContent = labels[0];
+    document.getElementById('config-y-label').textContent = labels[1];
+    document.getElementById('anchor-picker').classList.toggle('disabled', mode !== 'anchor');
+    ['config-x', 'config-y'].forEach(id => {
+        document.getElementById(id).step = mode === 'percent' ? '0.1' : '1';
+    });
+}
+
+// Re-express the current position in another mode or anchor, so the widget stays put
+function convertPlacement(change) {
+    const current = readPlacementForm();
+    const position = resolvePlacement(current);
+    change();
+    const fields = placementFields(readPlacementForm(), position.x, position.y);
+    document.getElementById('config-x').value = fields.x;
+    document.getElementById('config-y').value = fields.y;
+    updatePlacementFields();
+    updatePositionPreview();
+}
+
+// Bounding box of all monitors, in physical pixels
+function getMonitorBounds(monitors) {
+    const x = Math.min(...monitors.map(m => m.x));
+    const y = Math.min(...monitors.map(m => m.y));
+    const right = Math.max(...monitors.map(m => m.x + m.width));
+    const bottom = Math.max(...monitors.map(m => m.y + m.height));
+    return { x, y, width: right - x, height: bottom - y };
+}
+
+// Draw the widget box from the monitor and coordinate fields
+function updatePositionPreview() {
+    const preview = document.getElementById('widget-preview');
+    if (!preview) return;
+
+    const placement = readPlacementForm();
+    const { x, y, width, height } = resolvePlacement(placement);
+    const bounds = getMonitorBounds(state.monitors);
+    const monitor = placement.monitor;
+
+    preview.style.left = (x - bounds.x) / bounds.width * 100 + '%';
+    preview.style.top = (y - bounds.y) / bounds.height * 100 + '%';
+    preview.style.width = width / bounds.width * 100 + '%';
+    preview.style.height = height / bounds.height * 100 + '%';
+
+    document.querySelectorAll('.monitor-box').forEach(box => {
+        box.classList.toggle('selected', box.dataset.monitor === monitor.id);
+    });
+}
+
 function setupPreviewDrag(widget) {
     const preview = document.getElementById('widget-preview');
     const container = document.getElementById('screen-preview');
@@ -964,6 +3511,38 @@ function setupPreviewDrag(widget) {
     
     let isDragging = false;
     let startX, startY, startLeft, startTop;
+
+    ['config-monitor', 'config-x', 'config-y', 'config-width', 'config-height'].forEach(id => {
+        document.getElementById(id).addEventListener('input', updatePositionPreview);
+    });
+
+    document.getElementById('config-position-mode').addEventListener('change', (e) => {
+        const mode = e.target.value;
+        e.target.value = state.configPositionMode;
+        convertPlacement(() => {
+            e.target.value = mode;
+        });
+        state.configPositionMode = mode;
+    });
+    state.configPositionMode = document.getElementById('config-position-mode').value;
+
+    document.querySelectorAll('.anchor-option').forEach(option => {
+        option.addEventListener('click', () => {
+            convertPlacement(() => {
+                document.getElementById('config-position-mode').value = 'anchor';
+                state.configPositionMode = 'anchor';
+                document.querySelectorAll('.anchor-option').forEach(o => o.classList.toggle('active', o === option));
+            });
+        });
+    });
+
+    // Clicking a monitor moves the widget onto it
+    container.querySelectorAll('.monitor-box').forEach(box => {
+        box.addEventListener('click', () => {
+            document.getElementById('config-monitor').value = box.dataset.monitor;
+            updatePositionPreview();
+        });
+    });
     
     preview.addEventListener('mousedown', (e) => {
         isDragging = true;
@@ -990,12 +3569,23 @@ function setupPreviewDrag(widget) {
         newLeft = Math.max(0, Math.min(newLeft, containerRect.width - preview.offsetWidth));
         newTop = Math.max(0, Math.min(newTop, containerRect.height - preview.offsetHeight));
         
-        preview.style.left = (newLeft / containerRect.width * 100) + '%';
-        preview.style.top = (newTop / containerRect.height * 100) + '%';
+        // Back to physical desktop pixels; the monitor under the widget's center owns it
+        const bounds = getMonitorBounds(state.monitors);
+        const x = bounds.x + newLeft / containerRect.width * bounds.width;
+        const y = bounds.y + newTop / containerRect.height * bounds.height;
+        const centerX = bounds.x + (newLeft + preview.offsetWidth / 2) / containerRect.width * bounds.width;
+        const centerY = bounds.y + (newTop + preview.offsetHeight / 2) / containerRect.height * bounds.height;
+        const select = document.getElementById('config-monitor');
+        const monitor = state.monitors.find(m => centerX >= m.x && centerX < m.x + m.width && centerY >= m.y && centerY < m.y + m.height)
+            || state.monitors.find(m => m.id === select.value)
+            || getPrimaryMonitor();
         
         // Update inputs
-        document.getElementById('config-x').value = Math.round(newLeft / containerRect.width * 1920);
-        document.getElementById('config-y').value = Math.round(newTop / containerRect.height * 1080);
+        select.value = monitor.id;
+        const fields = placementFields(readPlacementForm(), x, y);
+        document.getElementById('config-x').value = fields.x;
+        document.getElementById('config-y').value = fields.y;
+        updatePositionPreview();
     });
     
     document.addEventListener('mouseup', () => {
@@ -1009,14 +3599,37 @@ async function saveWidgetConfig(id) {
     if (!widget) return;
     
     widget.name = document.getElementById('config-name').value || widget.name;
-    widget.x = parseInt(document.getElementById('config-x').value) || 0;
-    widget.y = parseInt(document.getElementById('config-y').value) || 0;
+    widget.monitor = document.getElementById('config-monitor').value;
+    const mode = document.getElementById('config-position-mode').value;
+    const x = parseFloat(document.getElementById('config-x').value) || 0;
+    const y = parseFloat(document.getElementById('config-y').value) || 0;
+    widget.anchor = mode === 'anchor' ? document.querySelector('.anchor-option.active')?.dataset.anchor || 'top-left' : null;
+    widget.percentX = mode === 'percent' ? x : null;
+    widget.percentY = mode === 'percent' ? y : null;
+    if (mode !== 'percent') {
+        widget.x = Math.round(x);
+        widget.y = Math.round(y);
+    }
     widget.width = parseInt(document.getElementById('config-width').value) || 300;
     widget.height = parseInt(document.getElementById('config-height').value) || 200;
     widget.autoStart = document.getElementById('config-autostart').checked;
+    const previousLayer = [getWidgetLayer(widget), Boolean(widget.clickThrough)].join();
+    widget.layer = document.getElementById('config-layer').value;
+    widget.alwaysOnTop = widget.layer === 'top';
+    widget.clickThrough = document.getElementById('config-click-through').checked;
+    if (widget.settingsSchema?.length) {
+        widget.settings = readSettingsForm(widget.settingsSchema);
+    }
     
     try {
         await invoke('save_widget', { widget });
+        await pushWidgetSettings(widget);
+
+        // Layers are window options, so an open window is recreated to apply them
+        if (state.openWidgets.has(id) && previousLayer !== [widget.layer, widget.clickThrough].join()) {
+            await invoke('create_widget_window', { widget });
+            state.interactiveWidgets.delete(id);
+        }
         await loadData();
         renderWidgets();
         closeModal();
@@ -1029,46 +3642,627 @@ async function saveWidgetConfig(id) {
 
 window.saveWidgetConfig = saveWidgetConfig;
 
-// Templates Functions
-async function loadTemplates() {
-    try {
-        const templateFiles = [
-            'clock.json',
-            'system-monitor.json',
-            'notes.json',
-            'weather.json',
-            'pomodoro.json',
-            'world-clock.json',
-            'calendar.json',
-            'countdown.json'
-        ];
-        
-        state.templates = [];
-        
-        for (const file of templateFiles) {
-            try {
-                const response = await fetch(`templates/${file}`);
-                if (response.ok) {
-                    const template = await response.json();
-                    state.templates.push(template);
-                }
-            } catch (error) {
-                console.warn(`Failed to load template ${file}:`, error);
-            }
-        }
-        
-        renderTemplates();
-    } catch (error) {
-        console.error('Error loading templates:', error);
-        document.getElementById('loading-templates').innerHTML = 
-            '<p>Failed to load templates</p>';
-    }
-}
+// Layout Editor
+// Widgets are kept in physical desktop pixels while arranging, and converted back to
+// each widget's own placement mode (pixels, anchor or percentage) when saved.
+function initLayoutEditor() {
+    const canvas = document.getElementById('layout-canvas');
+    const grid = document.getElementById('layout-grid');
+    const snap = document.getElementById('layout-snap');
 
-function renderTemplates() {
-    const container = document.getElementById('templates-container');
-    
-    if (state.templates.length === 0) {
+    grid.value = String(state.appSettings.layoutGrid ?? 0);
+    snap.checked = state.appSettings.layoutSnap ?? true;
+    grid.addEventListener('change', () => saveAppSetting('layoutGrid', parseInt(grid.value) || 0).catch(console.error));
+    snap.addEventListener('change', () => saveAppSetting('layoutSnap', snap.checked).catch(console.error));
+
+    document.getElementById('layout-save-btn').addEventListener('click', saveLayout);
+    document.getElementById('layout-reset-btn').addEventListener('click', async () => {
+        await loadLayout();
+        renderLayoutCanvas();
+    });
+    document.querySelectorAll('[data-align]').forEach(button => {
+        button.addEventListener('click', () => alignLayoutItems(button.dataset.align));
+    });
+    document.querySelectorAll('[data-distribute]').forEach(button => {
+        button.addEventListener('click', () => distributeLayoutItems(button.dataset.distribute));
+    });
+
+    canvas.addEventListener('mousedown', startLayoutDrag);
+    document.addEventListener('mousemove', moveLayoutDrag);
+    document.addEventListener('mouseup', endLayoutDrag);
+}
+
+async function openLayoutView() {
+    // Unsaved arrangements survive switching tabs
+    if (!state.layout.dirty) await loadLayout();
+    renderLayoutCanvas();
+}
+
+async function loadLayout() {
+    state.monitors = await loadMonitors();
+    state.layout.items = state.widgets.map(widget => {
+        const placement = getWidgetPlacement(widget);
+        const monitor = state.monitors.find(m => m.id === placement.monitorId) || getPrimaryMonitor();
+        const rect = resolvePlacement({ ...placement, monitor, width: widget.width, height: widget.height });
+        return { id: widget.id, name: widget.name, ...rect, changed: false };
+    });
+    state.layout.selected = new Set();
+    state.layout.dirty = false;
+}
+
+function renderLayoutCanvas() {
+    const canvas = document.getElementById('layout-canvas');
+    const bounds = getMonitorBounds(state.monitors);
+    canvas.style.aspectRatio = `${bounds.width} / ${bounds.height}`;
+
+    const percentX = value => (value - bounds.x) / bounds.width * 100;
+    const percentY = value => (value - bounds.y) / bounds.height * 100;
+
+    canvas.innerHTML = `
+        ${state.monitors.map(monitor => `
+            <div class="monitor-box layout-monitor"
+                 style="left: ${percentX(monitor.x)}%; top: ${percentY(monitor.y)}%;
+                        width: ${monitor.width / bounds.width * 100}%; height: ${monitor.height / bounds.height * 100}%;">
+                <span class="monitor-label">${escapeHtml(monitor.name || monitor.id)}${monitor.primary ? ' ★' : ''}</span>
+                <span class="monitor-size">${monitor.width}×${monitor.height} @ ${monitor.scaleFactor}x</span>
+            </div>
+        `).join('')}
+        ${state.layout.items.map(item => `
+            <div class="layout-widget ${state.openWidgets.has(item.id) ? 'open' : ''}" data-id="${item.id}" title="${escapeAttr(item.name)}">
+                <span class="layout-widget-name">${escapeHtml(item.name)}</span>
+                <span class="layout-resize"></span>
+            </div>
+        `).join('')}
+        <div class="layout-guides" id="layout-guides"></div>
+    `;
+
+    updateLayoutItems();
+}
+
+// Move the widget boxes to their current rects without re-rendering the canvas
+function updateLayoutItems() {
+    const bounds = getMonitorBounds(state.monitors);
+
+    state.layout.items.forEach(item => {
+        const box = document.querySelector(`.layout-widget[data-id="${item.id}"]`);
+        if (!box) return;
+        box.style.left = (item.x - bounds.x) / bounds.width * 100 + '%';
+        box.style.top = (item.y - bounds.y) / bounds.height * 100 + '%';
+        box.style.width = item.width / bounds.width * 100 + '%';
+        box.style.height = item.height / bounds.height * 100 + '%';
+        box.classList.toggle('selected', state.layout.selected.has(item.id));
+    });
+
+    const guides = document.getElementById('layout-guides');
+    guides.innerHTML = state.layout.guides.map(guide => guide.axis === 'x'
+        ? `<div class="layout-guide vertical" style="left: ${(guide.value - bounds.x) / bounds.width * 100}%;"></div>`
+        : `<div class="layout-guide horizontal" style="top: ${(guide.value - bounds.y) / bounds.height * 100}%;"></div>`
+    ).join('');
+
+    document.getElementById('layout-save-btn').disabled = !state.layout.dirty;
+}
+
+function getLayoutItem(id) {
+    return state.layout.items.find(item => item.id === id);
+}
+
+function getMonitorAt(x, y) {
+    return state.monitors.find(m => x >= m.x && x < m.x + m.width && y >= m.y && y < m.y + m.height);
+}
+
+function startLayoutDrag(e) {
+    const box = e.target.closest('.layout-widget');
+    const selected = state.layout.selected;
+
+    if (!box) {
+        selected.clear();
+        updateLayoutItems();
+        return;
+    }
+
+    const id = box.dataset.id;
+    if (e.shiftKey) {
+        if (selected.has(id)) selected.delete(id);
+        else selected.add(id);
+    } else if (!selected.has(id)) {
+        selected.clear();
+        selected.add(id);
+    }
+    updateLayoutItems();
+    if (!selected.has(id)) return;
+
+    const canvasRect = document.getElementById('layout-canvas').getBoundingClientRect();
+    state.layoutDrag = {
+        mode: e.target.classList.contains('layout-resize') ? 'resize' : 'move',
+        itemId: id,
+        startX: e.clientX,
+        startY: e.clientY,
+        // Physical pixels per screen pixel on the canvas
+        scale: getMonitorBounds(state.monitors).width / canvasRect.width,
+        origins: new Map([...selected].map(itemId => [itemId, { ...getLayoutItem(itemId) }]))
+    };
+    e.preventDefault();
+}
+
+function moveLayoutDrag(e) {
+    const drag = state.layoutDrag;
+    if (!drag) return;
+
+    let dx = (e.clientX - drag.startX) * drag.scale;
+    let dy = (e.clientY - drag.startY) * drag.scale;
+    const origin = drag.origins.get(drag.itemId);
+    state.layout.guides = [];
+
+    // Snap the grabbed widget; the rest of the selection follows it. Alt moves freely.
+    if (!e.altKey) {
+        const threshold = LAYOUT_SNAP_DISTANCE * drag.scale;
+        if (drag.mode === 'move') {
+            dx += snapLayoutAxis('x', [origin.x + dx, origin.x + dx + origin.width / 2, origin.x + dx + origin.width], origin.x + dx, threshold);
+            dy += snapLayoutAxis('y', [origin.y + dy, origin.y + dy + origin.height / 2, origin.y + dy + origin.height], origin.y + dy, threshold);
+        } else {
+            dx += snapLayoutAxis('x', [origin.x + origin.width + dx], origin.width + dx, threshold, true);
+            dy += snapLayoutAxis('y', [origin.y + origin.height + dy], origin.height + dy, threshold, true);
+        }
+    }
+
+    drag.origins.forEach((start, id) => {
+        const item = getLayoutItem(id);
+        if (drag.mode === 'move') {
+            item.x = start.x + dx;
+            item.y = start.y + dy;
+        } else {
+            const monitor = getMonitorAt(start.x + start.width / 2, start.y + start.height / 2) || getPrimaryMonitor();
+            item.width = Math.max(LAYOUT_MIN_SIZE * monitor.scaleFactor, start.width + dx);
+            item.height = Math.max(LAYOUT_MIN_SIZE * monitor.scaleFactor, start.height + dy);
+        }
+        item.changed = true;
+    });
+
+    state.layout.dirty = true;
+    updateLayoutItems();
+}
+
+// Correction that snaps one of `edges` to another widget's or a monitor's edge, adding
+// a guide line, or else snaps `value` (a position, or a size when `isSize`) to the grid
+function snapLayoutAxis(axis, edges, value, threshold, isSize = false) {
+    const drag = state.layoutDrag;
+    const size = axis === 'x' ? 'width' : 'height';
+
+    if (document.getElementById('layout-snap').checked) {
+        const targets = [];
+        state.layout.items
+            .filter(item => !drag.origins.has(item.id))
+            .concat(state.monitors)
+            .forEach(rect => targets.push(rect[axis], rect[axis] + rect[size] / 2, rect[axis] + rect[size]));
+
+        let best = null;
+        edges.forEach(edge => targets.forEach(target => {
+            const delta = target - edge;
+            if (Math.abs(delta) <= threshold && (best === null || Math.abs(delta) < Math.abs(best.delta))) {
+                best = { delta, target };
+            }
+        }));
+
+        if (best) {
+            state.layout.guides.push({ axis, value: best.target });
+            return best.delta;
+        }
+    }
+
+    const grid = parseInt(document.getElementById('layout-grid').value) || 0;
+    if (!grid) return 0;
+
+    const origin = drag.origins.get(drag.itemId);
+    const monitor = getMonitorAt(origin.x + origin.width / 2, origin.y + origin.height / 2) || getPrimaryMonitor();
+    const step = grid * monitor.scaleFactor;
+    const base = isSize ? 0 : monitor[axis];
+    return base + Math.round((value - base) / step) * step - value;
+}
+
+function endLayoutDrag() {
+    if (!state.layoutDrag) return;
+    state.layoutDrag = null;
+    state.layout.guides = [];
+    updateLayoutItems();
+}
+
+function getSelectedLayoutItems() {
+    return state.layout.items.filter(item => state.layout.selected.has(item.id));
+}
+
+function alignLayoutItems(edge) {
+    const items = getSelectedLayoutItems();
+    if (items.length < 2) {
+        showToast('Select at least two widgets to align', 'warning');
+        return;
+    }
+
+    const left = Math.min(...items.map(item => item.x));
+    const right = Math.max(...items.map(item => item.x + item.width));
+    const top = Math.min(...items.map(item => item.y));
+    const bottom = Math.max(...items.map(item => item.y + item.height));
+
+    items.forEach(item => {
+        if (edge === 'left') item.x = left;
+        if (edge === 'center') item.x = (left + right - item.width) / 2;
+        if (edge === 'right') item.x = right - item.width;
+        if (edge === 'top') item.y = top;
+        if (edge === 'middle') item.y = (top + bottom - item.height) / 2;
+        if (edge === 'bottom') item.y = bottom - item.height;
+        item.changed = true;
+    });
+
+    state.layout.dirty = true;
+    updateLayoutItems();
+}
+
+// Equal gaps between the selected widgets, keeping the outermost two in place
+function distributeLayoutItems(direction) {
+    const items = getSelectedLayoutItems();
+    if (items.length < 3) {
+        showToast('Select at least three widgets to distribute', 'warning');
+        return;
+    }
+
+    const axis = direction === 'horizontal' ? 'x' : 'y';
+    const size = direction === 'horizontal' ? 'width' : 'height';
+    items.sort((a, b) => a[axis] - b[axis]);
+
+    const first = items[0];
+    const last = items[items.length - 1];
+    const span = last[axis] + last[size] - first[axis];
+    const gap = (span - items.reduce((total, item) => total + item[size], 0)) / (items.length - 1);
+
+    let position = first[axis];
+    items.forEach(item => {
+        item[axis] = position;
+        position += item[size] + gap;
+        item.changed = true;
+    });
+
+    state.layout.dirty = true;
+    updateLayoutItems();
+}
+
+async function saveLayout() {
+    const changed = state.layout.items.filter(item => item.changed);
+    if (changed.length === 0) return;
+
+    try {
+        for (const item of changed) {
+            const widget = state.widgets.find(w => w.id === item.id);
+            if (!widget) continue;
+
+            // The monitor under the widget's center owns it now
+            const monitor = getMonitorAt(item.x + item.width / 2, item.y + item.height / 2)
+                || state.monitors.find(m => m.id === getWidgetPlacement(widget).monitorId)
+                || getPrimaryMonitor();
+            const placement = getWidgetPlacement(widget);
+            const width = Math.round(item.width / monitor.scaleFactor);
+            const height = Math.round(item.height / monitor.scaleFactor);
+            const fields = placementFields({ ...placement, monitor, width, height }, item.x, item.y);
+
+            const updated = { ...widget, monitor: monitor.id, width, height };
+            if (placement.mode === 'percent') {
+                updated.percentX = fields.x;
+                updated.percentY = fields.y;
+            } else {
+                updated.x = fields.x;
+                updated.y = fields.y;
+            }
+            await invoke('save_widget', { widget: updated });
+        }
+
+        await invoke('reposition_widgets');
+        await loadData();
+        renderWidgets();
+        await loadLayout();
+        renderLayoutCanvas();
+        showToast(`Layout saved (${changed.length} widget(s))`, 'success');
+    } catch (error) {
+        console.error('Error saving layout:', error);
+        showToast('Error saving layout: ' + error, 'error');
+    }
+}
+
+// Widget Settings
+// Widgets declare a `settingsSchema` array of fields:
+// { key, type, label, default, options?, min?, max?, step?, placeholder?, askOnImport? }
+// Fields marked `askOnImport` are asked for when a template is imported.
+const SETTING_TYPES = ['string', 'number', 'boolean', 'color', 'select', 'timezone', 'date'];
+
+function validateSettingsSchema(schema) {
+    if (!Array.isArray(schema)) {
+        throw new Error('Settings schema must be an array of fields');
+    }
+    
+    const keys = new Set();
+    schema.forEach((field, index) => {
+        if (!field || typeof field.key !== 'string' || !field.key.trim()) {
+            throw new Error(`Field ${index + 1} is missing a "key"`);
+        }
+        if (!/^[A-Za-z_][\w-]*$/.test(field.key)) {
+            throw new Error(`Setting key "${field.key}" may only contain letters, digits, "_" and "-"`);
+        }
+        if (keys.has(field.key)) {
+            throw new Error(`Duplicate setting key "${field.key}"`);
+        }
+        if (!SETTING_TYPES.includes(field.type)) {
+            throw new Error(`Field "${field.key}" has unknown type "${field.type}" (use ${SETTING_TYPES.join(', ')})`);
+        }
+        if (field.type === 'select' && (!Array.isArray(field.options) || field.options.length === 0)) {
+            throw new Error(`Select field "${field.key}" needs an "options" array`);
+        }
+        ['min', 'max', 'step'].forEach(name => {
+            if (field[name] !== undefined && !Number.isFinite(field[name])) {
+                throw new Error(`Field "${field.key}" has a non-numeric "${name}"`);
+            }
+        });
+        keys.add(field.key);
+    });
+    
+    return schema;
+}
+
+// Schemas that come from packages, templates, backups and profiles get the same checks as edited ones
+function validateImportedWidgets(widgets) {
+    widgets.forEach(widget => {
+        try {
+            validateSettingsSchema(widget.settingsSchema || []);
+        } catch (error) {
+            throw new Error(`"${widget.name}": ${error.message}`);
+        }
+    });
+}
+
+function getSettingDefault(field) {
+    if (field.default !== undefined) return field.default;
+    
+    switch (field.type) {
+        case 'number': return 0;
+        case 'boolean': return false;
+        case 'color': return '#ffffff';
+        case 'select': return getSelectOptions(field)[0]?.value ?? '';
+        case 'timezone': return Intl.DateTimeFormat().resolvedOptions().timeZone;
+        default: return '';
+    }
+}
+
+function getSelectOptions(field) {
+    return (field.options || []).map(option =>
+        typeof option === 'object' ? option : { value: option, label: String(option) }
+    );
+}
+
+// Values saved on the widget merged over the schema defaults
+function resolveWidgetSettings(widget) {
+    const values = {};
+    (widget.settingsSchema || []).forEach(field => {
+        values[field.key] = getSettingDefault(field);
+    });
+    return { ...values, ...(widget.settings || {}) };
+}
+
+function getTimezones() {
+    if (typeof Intl.supportedValuesOf === 'function') {
+        return Intl.supportedValuesOf('timeZone');
+    }
+    return ['UTC', 'America/New_York', 'America/Chicago', 'America/Los_Angeles', 'America/Sao_Paulo',
+        'Europe/London', 'Europe/Paris', 'Europe/Moscow', 'Asia/Dubai', 'Asia/Kolkata',
+        'Asia/Shanghai', 'Asia/Tokyo', 'Australia/Sydney'];
+}
+
+function renderSettingsForm(schema, values) {
+    const fields = schema.map(field => {
+        const id = escapeAttr(`setting-${field.key}`);
+        const value = values[field.key];
+        const label = escapeHtml(field.label || field.key);
+        
+        switch (field.type) {
+            case 'boolean':
+                return `
+                    <label class="toggle-label">
+                        <span>${label}</span>
+                        <input type="checkbox" id="${id}" ${value ? 'checked' : ''}>
+                        <span class="toggle"></span>
+                    </label>`;
+            case 'select':
+                return `
+                    <div class="form-group">
+                        <label for="${id}">${label}</label>
+                        <select class="input" id="${id}">
+                            ${getSelectOptions(field).map(option => `
+                                <option value="${escapeAttr(String(option.value))}" ${String(option.value) === String(value) ? 'selected' : ''}>
+                                    ${escapeHtml(option.label ?? String(option.value))}
+                                </option>`).join('')}
+                        </select>
+                    </div>`;
+            case 'color':
+                return `
+                    <div class="form-group">
+                        <label for="${id}">${label}</label>
+                        <input type="color" class="input input-color" id="${id}" value="${escapeAttr(String(value))}">
+                    </div>`;
+            case 'number':
+                return `
+                    <div class="form-group">
+                        <label for="${id}">${label}</label>
+                        <input type="number" class="input" id="${id}" value="${escapeAttr(String(value))}"
+                            ${field.min !== undefined ? `min="${escapeAttr(field.min)}"` : ''}
+                            ${field.max !== undefined ? `max="${escapeAttr(field.max)}"` : ''}
+                            ${field.step !== undefined ? `step="${escapeAttr(field.step)}"` : ''}>
+                    </div>`;
+            case 'timezone':
+                return `
+                    <div class="form-group">
+                        <label for="${id}">${label}</label>
+                        <input type="text" class="input" id="${id}" value="${escapeAttr(String(value))}" list="timezone-options">
+                    </div>`;
+            case 'date':
+                return `
+                    <div class="form-group">
+                        <label for="${id}">${label}</label>
+                        <input type="date" class="input" id="${id}" value="${escapeAttr(String(value ?? ''))}">
+                    </div>`;
+            default:
+                return `
+                    <div class="form-group">
+                        <label for="${id}">${label}</label>
+                        <input type="text" class="input" id="${id}" value="${escapeAttr(String(value ?? ''))}"
+                            placeholder="${escapeAttr(field.placeholder || '')}">
+                    </div>`;
+        }
+    }).join('');
+    
+    const timezoneList = schema.some(field => field.type === 'timezone')
+        ? `<datalist id="timezone-options">${getTimezones().map(tz => `<option value="${tz}">`).join('')}</datalist>`
+        : '';
+    
+    return fields + timezoneList;
+}
+
+function readSettingsForm(schema) {
+    const values = {};
+    
+    schema.forEach(field => {
+        const input = document.getElementById(`setting-${field.key}`);
+        if (!input) return;
+        
+        switch (field.type) {
+            case 'boolean':
+                values[field.key] = input.checked;
+                break;
+            case 'number': {
+                const number = parseFloat(input.value);
+                values[field.key] = Number.isNaN(number) ? getSettingDefault(field) : number;
+                break;
+            }
+            case 'select': {
+                // Keep the option's original type (numbers stay numbers)
+                const option = getSelectOptions(field).find(o => String(o.value) === input.value);
+                values[field.key] = option ? option.value : input.value;
+                break;
+            }
+            default:
+                values[field.key] = input.value;
+        }
+    });
+    
+    return values;
+}
+
+// Send new settings to an open widget window
+async function pushWidgetSettings(widget) {
+    if (!state.openWidgets.has(widget.id)) return;
+    
+    try {
+        await emitTo(widget.id, 'dashlayer://settings-changed', {
+            widgetId: widget.id,
+            settings: resolveWidgetSettings(widget)
+        });
+    } catch (error) {
+        console.warn('Could not update widget settings live:', error);
+    }
+}
+
+// Settings schema editor (Editor tab)
+function updateSchemaSummary() {
+    const summary = document.getElementById('schema-summary');
+    if (!summary) return;
+    
+    const count = state.editorSettingsSchema.length;
+    summary.textContent = count === 0
+        ? 'No settings declared'
+        : `${count} setting${count === 1 ? '' : 's'}: ${state.editorSettingsSchema.map(f => f.key).join(', ')}`;
+}
+
+function editSettingsSchema() {
+    const modalContent = `
+        <p class="settings-hint">
+            Declare the settings users can change in Configure. Types: ${SETTING_TYPES.join(', ')}.
+            Read them in the widget with <code>dashlayer.settings.get(key)</code>.
+        </p>
+        <textarea class="input schema-textarea" id="schema-input" spellcheck="false">${escapeHtml(JSON.stringify(state.editorSettingsSchema, null, 2))}</textarea>
+        <p class="schema-error" id="schema-error"></p>
+    `;
+    
+    const modalFooter = `
+        <button class="btn btn-secondary" onclick="closeModal()">Cancel</button>
+        <button class="btn btn-primary" onclick="saveSettingsSchema()">Apply</button>
+    `;
+    
+    showModal('Settings Schema', modalContent, modalFooter);
+}
+
+function saveSettingsSchema() {
+    const errorEl = document.getElementById('schema-error');
+    
+    try {
+        const text = document.getElementById('schema-input').value.trim();
+        state.editorSettingsSchema = validateSettingsSchema(text ? JSON.parse(text) : []);
+        updateSchemaSummary();
+        schedulePreviewRender();
+        closeModal();
+        showToast('Settings schema updated. Save the widget to keep it.', 'info');
+    } catch (error) {
+        errorEl.textContent = error.message;
+    }
+}
+
+window.saveSettingsSchema = saveSettingsSchema;
+
+// Templates Functions
+// Built-in templates are listed in templates/index.json; user templates live in the
+// config directory. Each template gets a `key` the template cards refer to.
+async function loadTemplates() {
+    try {
+        const response = await fetch('templates/index.json');
+        const templateFiles = response.ok ? await response.json() : [];
+        
+        // Collected before replacing state.templates, so overlapping reloads don't mix
+        const templates = [];
+        
+        for (const file of templateFiles) {
+            try {
+                const response = await fetch(`templates/${file}`);
+                if (response.ok) {
+                    const template = await response.json();
+                    validateImportedWidgets([template]);
+                    templates.push({ ...template, key: `builtin:${file}` });
+                }
+            } catch (error) {
+                console.warn(`Failed to load template ${file}:`, error);
+            }
+        }
+
+        try {
+            const userTemplates = await invoke('get_user_templates');
+            userTemplates.forEach(template => {
+                try {
+                    validateImportedWidgets([template]);
+                    templates.push({ ...template, key: `user:${template.id}`, userTemplate: true });
+                } catch (error) {
+                    console.warn('Skipping user template with an invalid settings schema:', error);
+                }
+            });
+        } catch (error) {
+            console.error('Error loading user templates:', error);
+        }
+        
+        state.templates = templates;
+        state.templateThumbnails = {};
+        renderTemplates();
+    } catch (error) {
+        console.error('Error loading templates:', error);
+        document.getElementById('loading-templates').innerHTML = 
+            '<p>Failed to load templates</p>';
+    }
+}
+
+function renderTemplates() {
+    const container = document.getElementById('templates-container');
+    
+    if (state.templates.length === 0) {
         container.innerHTML = `
             <div class="empty-state">
                 <svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
@@ -1084,6 +4278,8 @@ function renderTemplates() {
         return;
     }
     
+    updateTemplateCategoryFilter();
+    
     // Group templates by category
     const templatesByCategory = {};
     state.templates.forEach(template => {
@@ -1097,22 +4293,24 @@ function renderTemplates() {
     let html = '';
     Object.keys(templatesByCategory).forEach(category => {
         html += `
-            <div class="template-category">
-                <h3>${category}</h3>
+            <div class="template-category" data-category="${escapeAttr(category)}">
+                <h3>${escapeHtml(category)}</h3>
                 <div class="template-grid">
                     ${templatesByCategory[category].map(template => `
-                        <div class="template-card">
+                        <div class="template-card" data-key="${escapeAttr(template.key)}">
+                            <div class="template-thumbnail" data-key="${escapeAttr(template.key)}"></div>
                             <div class="template-header">
                                 <h4>${escapeHtml(template.name)}</h4>
-                                <span class="template-category-badge">${escapeHtml(template.category)}</span>
+                                ${template.userTemplate ? '<span class="template-category-badge template-user-badge">Yours</span>' : ''}
+                                <span class="template-category-badge">${escapeHtml(template.category || 'Other')}</span>
                             </div>
-                            <p class="template-description">${escapeHtml(template.description)}</p>
+                            <p class="template-description">${escapeHtml(template.description || '')}</p>
                             <div class="template-info">
                                 <span class="template-size">${template.width}x${template.height}</span>
                                 <span class="template-opacity">${template.opacity}% opacity</span>
                             </div>
                             <div class="template-actions">
-                                <button class="btn btn-primary btn-sm" onclick="importTemplate('${template.name}')">
+                                <button class="btn btn-primary btn-sm" onclick="importTemplate('${escapeAttr(template.key)}')">
                                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                         <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
                                         <polyline points="7 10 12 15 17 10"/>
@@ -1120,6 +4318,21 @@ function renderTemplates() {
                                     </svg>
                                     Import
                                 </button>
+                                <button class="btn btn-secondary btn-sm" onclick="tryTemplate('${escapeAttr(template.key)}')" title="Open in a temporary window">
+                                    Try
+                                </button>
+                                <button class="btn btn-secondary btn-sm" onclick="exportTemplatePackage('${escapeAttr(template.key)}')" title="Export as .dashlayer package">
+                                    Export
+                                </button>
+                                ${template.userTemplate ? `
+                                <button class="btn btn-secondary btn-sm" onclick="editUserTemplate('${escapeAttr(template.id)}')" title="Edit details">
+                                    Edit
+                                </button>
+                                <button class="btn btn-ghost btn-sm" onclick="deleteUserTemplate('${escapeAttr(template.id)}')" title="Delete">
+                                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                        <path d="M3 6h18M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+                                    </svg>
+                                </button>` : ''}
                             </div>
                         </div>
                     `).join('')}
@@ -1127,60 +4340,557 @@ function renderTemplates() {
             </div>
         `;
     });
+    html += `
+        <div class="empty-state" id="templates-no-match">
+            <h3>No matching templates</h3>
+            <p>Try a different search or category</p>
+        </div>
+    `;
     
     container.innerHTML = html;
+    filterTemplates();
+    renderTemplateThumbnails();
+}
+
+// Search and category filtering hide cards rather than rendering the gallery
+// again, so the thumbnails keep running instead of reloading on every keystroke
+function filterTemplates() {
+    const { query, category: categoryFilter } = state.templateFilter;
+    let anyShown = false;
+
+    document.querySelectorAll('#templates-container .template-category').forEach(section => {
+        const inCategory = !categoryFilter || section.dataset.category === categoryFilter;
+        let sectionShown = false;
+
+        section.querySelectorAll('.template-card').forEach(card => {
+            const template = state.templates.find(t => t.key === card.dataset.key);
+            const shown = inCategory && Boolean(template) && (!query || [template.name, template.description, template.category]
+                .some(text => (text || '').toLowerCase().includes(query)));
+            card.style.display = shown ? '' : 'none';
+            sectionShown = sectionShown || shown;
+        });
+
+        section.style.display = sectionShown ? '' : 'none';
+        anyShown = anyShown || sectionShown;
+    });
+
+    const empty = document.getElementById('templates-no-match');
+    if (empty) empty.style.display = anyShown ? 'none' : '';
+}
+
+// Category options follow the loaded templates, keeping the current choice
+function updateTemplateCategoryFilter() {
+    const select = document.getElementById('template-category-filter');
+    const categories = [...new Set(state.templates.map(t => t.category || 'Other'))].sort();
+    if (!categories.includes(state.templateFilter.category)) state.templateFilter.category = '';
+
+    select.innerHTML = '<option value="">All categories</option>' + categories
+        .map(category => `<option value="${escapeAttr(category)}">${escapeHtml(category)}</option>`)
+        .join('');
+    select.value = state.templateFilter.category;
+}
+
+// Each card runs its template in a sandboxed iframe like the editor preview.
+// Rendered pages are cached, so reloading the gallery doesn't render them again.
+async function renderTemplateThumbnails() {
+    state.thumbnailObserver?.disconnect();
+    state.thumbnailObserver = new ResizeObserver(entries => {
+        entries.forEach(entry => fitTemplateThumbnail(entry.target));
+    });
+
+    for (const thumbnail of document.querySelectorAll('.template-thumbnail')) {
+        const template = state.templates.find(t => t.key === thumbnail.dataset.key);
+        if (!template) continue;
+
+        const widget = { ...templateToWidget(template), opacity: 100 };
+        const iframe = document.createElement('iframe');
+        iframe.setAttribute('sandbox', 'allow-scripts');
+        iframe.title = `${template.name} preview`;
+        iframe.width = widget.width;
+        iframe.height = widget.height;
+        iframe.style.opacity = (parseInt(template.opacity) || 100) / 100;
+        thumbnail.appendChild(iframe);
+        fitTemplateThumbnail(thumbnail);
+        state.thumbnailObserver.observe(thumbnail);
+
+        try {
+            if (!state.templateThumbnails[template.key]) {
+                state.templateThumbnails[template.key] = await invoke('render_widget_preview', { widget });
+            }
+            iframe.srcdoc = state.templateThumbnails[template.key];
+        } catch (error) {
+            console.warn(`Failed to render thumbnail for ${template.name}:`, error);
+        }
+    }
 }
 
-async function importTemplate(templateName) {
-    const template = state.templates.find(t => t.name === templateName);
+function fitTemplateThumbnail(thumbnail) {
+    const iframe = thumbnail.querySelector('iframe');
+    if (!iframe || !thumbnail.clientWidth) return;
+
+    const scale = Math.min(thumbnail.clientWidth / iframe.width, thumbnail.clientHeight / iframe.height, 1);
+    iframe.style.transform = `translate(-50%, -50%) scale(${scale})`;
+}
+
+// Open a template in a temporary window without importing it
+async function tryTemplate(key) {
+    const template = state.templates.find(t => t.key === key);
+    if (!template) {
+        showToast('Template not found', 'error');
+        return;
+    }
+
+    try {
+        await invoke('try_widget', { widget: templateToWidget(template) });
+        showToast(`Trying "${template.name}". Close it with its Preview button.`, 'info');
+    } catch (error) {
+        console.error('Error trying template:', error);
+        showToast('Error trying template: ' + error, 'error');
+    }
+}
+
+// Guided import: asks for the template's import parameters (settings marked
+// `askOnImport`), where to put the widget and whether it opens on startup
+async function importTemplate(key) {
+    const template = state.templates.find(t => t.key === key);
     if (!template) {
         showToast('Template not found', 'error');
         return;
     }
     
+    state.monitors = await loadMonitors();
+    const parameters = getImportParameters(template);
+    const monitors = state.monitors.length > 1 ? state.monitors : [];
+    
+    const modalContent = `
+        <div class="form-group">
+            <label for="import-name">Name</label>
+            <input type="text" class="input" id="import-name" value="${escapeAttr(template.name)}">
+        </div>
+        ${parameters.length ? `
+        <div class="import-parameters">
+            ${renderSettingsForm(parameters, resolveWidgetSettings(template))}
+        </div>` : ''}
+        <div class="form-row">
+            <div class="form-group">
+                <label for="import-anchor">Placement</label>
+                <select class="input" id="import-anchor">
+                    <option value="">Template's position</option>
+                    ${ANCHORS.map(anchor => `<option value="${anchor}">${formatAnchor(anchor)}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="import-margin">Margin</label>
+                <input type="number" class="input" id="import-margin" value="20" min="0">
+            </div>
+        </div>
+        ${monitors.length ? `
+        <div class="form-group">
+            <label for="import-monitor">Monitor</label>
+            <select class="input" id="import-monitor">
+                ${monitors.map(monitor => `
+                    <option value="${escapeAttr(monitor.id)}" ${monitor.primary ? 'selected' : ''}>${escapeHtml(monitor.name || monitor.id)}${monitor.primary ? ' (primary)' : ''}</option>
+                `).join('')}
+            </select>
+        </div>` : ''}
+        <label class="toggle-label">
+            <span>Open on startup</span>
+            <input type="checkbox" id="import-autostart">
+            <span class="toggle"></span>
+        </label>
+        <label class="toggle-label">
+            <span>Open now</span>
+            <input type="checkbox" id="import-open" checked>
+            <span class="toggle"></span>
+        </label>
+    `;
+    
+    const modalFooter = `
+        <button class="btn btn-secondary" onclick="closeModal()">Cancel</button>
+        <button class="btn btn-primary" onclick="confirmImportTemplate('${escapeAttr(key)}')">Import</button>
+    `;
+    
+    showModal(`Import ${template.name}`, modalContent, modalFooter);
+}
+
+function getImportParameters(template) {
+    return (template.settingsSchema || []).filter(field => field.askOnImport);
+}
+
+// "bottom-right" -> "Bottom right"
+function formatAnchor(anchor) {
+    return anchor.charAt(0).toUpperCase() + anchor.slice(1).replace('-', ' ');
+}
+
+async function confirmImportTemplate(key) {
+    const template = state.templates.find(t => t.key === key);
+    if (!template) return;
+    
     try {
         // Validate template has required fields
-        if (!template.name || !template.html || !template.css || !template.js) {
+        if (!template.name || ![template.html, template.css, template.js].every(code => typeof code === 'string')) {
             throw new Error('Template is missing required fields');
         }
         
-        // Create a new widget from template
-        const widget = {
-            id: Date.now().toString(),
-            name: template.name + ' (Imported)',
-            html: template.html,
-            css: template.css,
-            js: template.js,
-            width: parseInt(template.width) || 300,
-            height: parseInt(template.height) || 200,
-            opacity: parseInt(template.opacity) || 100,
-            alwaysOnTop: Boolean(template.alwaysOnTop),
-            transparent: Boolean(template.transparent),
-            x: parseInt(template.x) + 50 || 150, // Offset slightly to avoid overlap
-            y: parseInt(template.y) + 50 || 150,
-            autoStart: false // Don't auto-start imported widgets
-        };
+        // Create a new widget from template, with the answers from the wizard
+        const widget = templateToWidget(template);
+        widget.name = document.getElementById('import-name').value.trim() || template.name;
+        widget.settings = { ...widget.settings, ...readSettingsForm(getImportParameters(template)) };
+        widget.autoStart = document.getElementById('import-autostart').checked;
+        
+        // Anchored to a screen edge or corner; centered axes get no margin
+        const anchor = document.getElementById('import-anchor').value;
+        if (anchor) {
+            const margin = parseInt(document.getElementById('import-margin').value) || 0;
+            const [horizontal, vertical] = anchorFactors(anchor);
+            widget.monitor = document.getElementById('import-monitor')?.value || getPrimaryMonitor().id;
+            widget.anchor = anchor;
+            widget.x = horizontal === 0.5 ? 0 : margin;
+            widget.y = vertical === 0.5 ? 0 : margin;
+        }
+        const openNow = document.getElementById('import-open').checked;
         
         // Save the widget
         await invoke('save_widget', { widget });
+        closeModal();
         
         // Reload widgets
         await loadData();
         renderWidgets();
+        document.querySelector('[data-tab="widgets"]').click();
         
-        // Switch to editor tab with the new widget
-        document.querySelector('[data-tab="editor"]').click();
-        editWidget(widget.id);
-        
-        showToast(`Template "${templateName}" imported successfully!`, 'success');
+        showToast(`Template "${template.name}" imported successfully!`, 'success');
+        if (openNow) await openWidget(widget.id);
     } catch (error) {
         console.error('Error importing template:', error);
         showToast('Error importing template: ' + error, 'error');
     }
 }
 
+function templateToWidget(template) {
+    return {
+        id: Date.now().toString(),
+        name: template.name,
+        html: template.html,
+        css: template.css,
+        js: template.js,
+        width: parseInt(template.width) || 300,
+        height: parseInt(template.height) || 200,
+        opacity: parseInt(template.opacity) || 100,
+        alwaysOnTop: Boolean(template.alwaysOnTop),
+        layer: getWidgetLayer(template),
+        clickThrough: Boolean(template.clickThrough),
+        transparent: Boolean(template.transparent),
+        x: parseInt(template.x) + 50 || 150, // Offset slightly to avoid overlap
+        y: parseInt(template.y) + 50 || 150,
+        autoStart: false, // Don't auto-start imported widgets
+        settingsSchema: template.settingsSchema || [],
+        settings: resolveWidgetSettings(template),
+        dependencies: template.dependencies || [],
+        module: Boolean(template.module),
+        version: template.version || null,
+        author: template.author || null,
+        description: template.description || null
+    };
+}
+
+async function exportTemplatePackage(key) {
+    const template = state.templates.find(t => t.key === key);
+    if (!template) {
+        showToast('Template not found', 'error');
+        return;
+    }
+
+    try {
+        const path = await invoke('export_widget_package', { widget: templateToWidget(template) });
+        showToast(`Package saved to ${path}`, 'success');
+    } catch (error) {
+        console.error('Error exporting template:', error);
+        showToast('Error exporting template: ' + error, 'error');
+    }
+}
+
+// User Templates
+function saveAsTemplate(id) {
+    const widget = state.widgets.find(w => w.id === id);
+    if (!widget) return;
+
+    showTemplateForm({
+        name: widget.name,
+        category: 'My Templates',
+        description: widget.description || '',
+        width: widget.width,
+        height: widget.height
+    }, `saveWidgetAsTemplate('${id}')`, 'Save as Template');
+}
+
+function editUserTemplate(id) {
+    const template = state.templates.find(t => t.userTemplate && t.id === id);
+    if (!template) return;
+
+    showTemplateForm(template, `confirmEditUserTemplate('${id}')`, 'Edit Template');
+}
+
+// Details asked for when saving or editing a user template
+function showTemplateForm(values, onSave, title) {
+    const categories = [...new Set(state.templates.map(t => t.category).filter(Boolean))];
+
+    const modalContent = `
+        <div class="form-group">
+            <label>Name</label>
+            <input type="text" id="template-name" class="input" value="${escapeAttr(values.name || '')}">
+        </div>
+        <div class="form-group">
+            <label>Category</label>
+            <input type="text" id="template-category" class="input" list="template-categories" value="${escapeAttr(values.category || '')}">
+            <datalist id="template-categories">
+                ${categories.map(category => `<option value="${escapeAttr(category)}">`).join('')}
+            </datalist>
+        </div>
+        <div class="form-group">
+            <label>Description</label>
+            <textarea id="template-description" class="input" rows="3">${escapeHtml(values.description || '')}</textarea>
+        </div>
+        <div class="form-row">
+            <div class="form-group">
+                <label>Default width</label>
+                <input type="number" id="template-width" class="input" min="50" value="${values.width || 300}">
+            </div>
+            <div class="form-group">
+                <label>Default height</label>
+                <input type="number" id="template-height" class="input" min="50" value="${values.height || 200}">
+            </div>
+        </div>
+    `;
+
+    const modalFooter = `
+        <button class="btn btn-secondary" onclick="closeModal()">Cancel</button>
+        <button class="btn btn-primary" onclick="${onSave}">Save</button>
+    `;
+
+    showModal(title, modalContent, modalFooter);
+}
+
+function readTemplateForm() {
+    return {
+        name: document.getElementById('template-name').value.trim(),
+        category: document.getElementById('template-category').value.trim() || 'My Templates',
+        description: document.getElementById('template-description').value.trim(),
+        width: parseInt(document.getElementById('template-width').value) || 300,
+        height: parseInt(document.getElementById('template-height').value) || 200
+    };
+}
+
+async function saveWidgetAsTemplate(id) {
+    const widget = state.widgets.find(w => w.id === id);
+    if (!widget) return;
+
+    const details = readTemplateForm();
+    if (!details.name) {
+        showToast('Please enter a template name', 'warning');
+        return;
+    }
+
+    const template = {
+        ...details,
+        html: widget.html,
+        css: widget.css,
+        js: widget.js,
+        opacity: widget.opacity,
+        alwaysOnTop: widget.alwaysOnTop,
+        layer: getWidgetLayer(widget),
+        clickThrough: Boolean(widget.clickThrough),
+        transparent: widget.transparent,
+        module: Boolean(widget.module),
+        settingsSchema: widget.settingsSchema || [],
+        settings: widget.settings || {},
+        dependencies: widget.dependencies || [],
+        createdAt: new Date().toISOString()
+    };
+
+    await saveUserTemplate(template, `Template "${details.name}" saved!`);
+}
+
+async function confirmEditUserTemplate(id) {
+    const template = state.templates.find(t => t.userTemplate && t.id === id);
+    if (!template) return;
+
+    const details = readTemplateForm();
+    if (!details.name) {
+        showToast('Please enter a template name', 'warning');
+        return;
+    }
+
+    const { key, userTemplate, ...stored } = template;
+    await saveUserTemplate({ ...stored, ...details }, 'Template updated!');
+}
+
+async function saveUserTemplate(template, message) {
+    try {
+        await invoke('save_user_template', { template });
+        closeModal();
+        await loadTemplates();
+        showToast(message, 'success');
+    } catch (error) {
+        console.error('Error saving template:', error);
+        showToast('Error saving template: ' + error, 'error');
+    }
+}
+
+async function deleteUserTemplate(id) {
+    if (!await showConfirm('Are you sure you want to delete this template?', 'Delete Template')) return;
+
+    try {
+        await invoke('delete_user_template', { templateId: id });
+        await loadTemplates();
+        showToast('Template deleted!', 'success');
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        showToast('Error deleting template: ' + error, 'error');
+    }
+}
+
 // Make template functions global
 window.importTemplate = importTemplate;
+window.confirmImportTemplate = confirmImportTemplate;
+window.exportTemplatePackage = exportTemplatePackage;
+window.tryTemplate = tryTemplate;
+window.saveAsTemplate = saveAsTemplate;
+window.editUserTemplate = editUserTemplate;
+window.saveWidgetAsTemplate = saveWidgetAsTemplate;
+window.confirmEditUserTemplate = confirmEditUserTemplate;
+window.deleteUserTemplate = deleteUserTemplate;
+
+// Widget Packages
+// A .dashlayer file is a zip with manifest.json, widget.html/css/js and an assets/ folder
+function exportWidgetPackage(id) {
+    const widget = state.widgets.find(w => w.id === id);
+    if (!widget) return;
+
+    const modalContent = `
+        <div class="form-row">
+            <div class="form-group">
+                <label>Version</label>
+                <input type="text" id="package-version" class="input" value="${escapeAttr(widget.version || '1.0.0')}">
+            </div>
+            <div class="form-group">
+                <label>Author</label>
+                <input type="text" id="package-author" class="input" value="${escapeAttr(widget.author || '')}">
+            </div>
+        </div>
+        <div class="form-group">
+            <label>Description</label>
+            <input type="text" id="package-description" class="input" value="${escapeAttr(widget.description || '')}">
+        </div>
+        <p class="package-note">The package includes the widget code, settings schema, dependency list and files in its assets folder.</p>
+    `;
+    
+    const modalFooter = `
+        <button class="btn btn-secondary" onclick="closeModal()">Cancel</button>
+        <button class="btn btn-primary" onclick="confirmExportPackage('${id}')">Export</button>
+    `;
+    
+    showModal(`Export "${widget.name}"`, modalContent, modalFooter);
+}
+
+async function confirmExportPackage(id) {
+    const widget = state.widgets.find(w => w.id === id);
+    if (!widget) return;
+
+    widget.version = document.getElementById('package-version').value.trim() || '1.0.0';
+    widget.author = document.getElementById('package-author').value.trim() || null;
+    widget.description = document.getElementById('package-description').value.trim() || null;
+
+    try {
+        await invoke('save_widget', { widget });
+        const path = await invoke('export_widget_package', { widget });
+        closeModal();
+        showToast(`Package saved to ${path}`, 'success');
+    } catch (error) {
+        console.error('Error exporting widget:', error);
+        showToast('Error exporting widget: ' + error, 'error');
+    }
+}
+
+async function importWidgetPackage(file) {
+    const widgetId = Date.now().toString();
+    let saved = false;
+    try {
+        const data = await readFileAsBase64(file);
+        const { widget, dependencies } = await invoke('import_widget_package', { data, widgetId });
+
+        validateImportedWidgets([widget]);
+        widget.dependencies = await linkPackageDependencies(dependencies);
+        widget.settings = resolveWidgetSettings(widget);
+        await invoke('save_widget', { widget });
+        saved = true;
+
+        await loadData();
+        renderWidgets();
+        renderDependencies();
+        showToast(`Package "${widget.name}" imported!`, 'success');
+    } catch (error) {
+        console.error('Error importing package:', error);
+        showToast('Error importing package: ' + error, 'error');
+        // Assets may already be unpacked for the widget that was never saved
+        if (!saved) {
+            invoke('discard_widget_package', { widgetId })
+                .catch(e => console.warn('Failed to remove package assets:', e));
+        }
+    }
+}
+
+// Reuse dependencies already in the manager (same URL), add and download the rest.
+// A download that doesn't match the package's integrity hash is only used if confirmed;
+// otherwise it is removed again and the import stops.
+async function linkPackageDependencies(packageDependencies) {
+    const ids = [];
+
+    for (const [index, packageDependency] of packageDependencies.entries()) {
+        const existing = state.dependencies.find(d => d.url === packageDependency.url);
+        if (existing) {
+            ids.push(existing.id);
+            continue;
+        }
+
+        const dependency = {
+            id: `${Date.now()}-${index}`,
+            url: packageDependency.url,
+            name: packageDependency.name || packageDependency.url.split('/').pop(),
+            cached: false,
+            addedAt: new Date().toISOString(),
+            specifier: packageDependency.specifier || null
+        };
+        await invoke('add_dependency', { dependency });
+
+        let cached = null;
+        try {
+            cached = await invoke('cache_dependency', { dependencyId: dependency.id });
+        } catch (error) {
+            console.warn(`Failed to download ${dependency.url}:`, error);
+            showToast(`${dependency.name} could not be downloaded and will load online`, 'warning');
+        }
+
+        if (cached && packageDependency.integrity && cached.integrity !== packageDependency.integrity) {
+            const confirmed = await showConfirm(
+                `${dependency.name} downloaded from ${dependency.url} doesn't match the file the package was built with. It may have been changed. Use it anyway?`,
+                'Integrity Mismatch'
+            );
+            if (!confirmed) {
+                await invoke('remove_dependency', { dependencyId: dependency.id });
+                await loadData();
+                renderDependencies();
+                throw new Error(`${dependency.name} failed its integrity check`);
+            }
+        }
+        ids.push(dependency.id);
+    }
+
+    return ids;
+}
+
+window.exportWidgetPackage = exportWidgetPackage;
+window.confirmExportPackage = confirmExportPackage;
 
 // ============================================
 // UPDATE CHECKER